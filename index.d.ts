@@ -1,4 +1,5 @@
 import * as Promise from "bluebird";
+import { EventEmitter } from "events";
 
 /**
  * Create an instance of Cache
@@ -7,34 +8,265 @@ import * as Promise from "bluebird";
 declare function Leafcutter(options: Leafcutter.CacheOptions): Leafcutter.Cache;
 
 declare namespace Leafcutter {
+  /**
+   * Register a driver, serializer or bus class, so that it can be configured by name
+   *
+   */
+  function extend(
+    kind: "driver",
+    name: string,
+    Class: new (options?: any) => Driver
+  ): void;
+  function extend(
+    kind: "serializer",
+    name: string,
+    Class: new () => Serializer
+  ): void;
+  function extend(
+    kind: "bus",
+    name: string,
+    Class: new (options?: any) => Bus
+  ): void;
+
   interface DriverOptions {
     type: string;
     options:
       | DriverOptions.Redis
       | DriverOptions.Memcached
-      | DriverOptions.Memory;
+      | DriverOptions.Memory
+      | DriverOptions.File
+      | DriverOptions.Sqlite
+      | DriverOptions.Tiered;
   }
 
   namespace DriverOptions {
     interface Redis {
-      host: string;
-      port: number;
+      host?: string;
+      port?: number;
       prefix?: string;
+      /**
+       * Text between the namespace and the keys, none by default.
+       * Set it to ':' so that a flush of `app` leaves the keys of `app2` alone
+       */
+      separator?: string;
+      /**
+       * Startup nodes of a Redis Cluster, connected by ioredis
+       */
+      cluster?: Array<{ host: string; port: number }>;
+      /**
+       * Options of the ioredis cluster client
+       */
+      clusterOptions?: object;
+      /**
+       * Sentinels monitoring the master named `name`, connected by ioredis
+       */
+      sentinels?: Array<{ host: string; port: number }>;
+      name?: string;
     }
     interface Memory {
       interval?: number;
+      /**
+       * Maximum number of entries kept
+       */
+      maxEntries?: number;
+      /**
+       * Maximum number of bytes taken by keys and serialized values,
+       * values kept without a serializer are measured by their JSON form
+       */
+      maxBytes?: number;
+      /**
+       * Which entry to evict first when a limit is exceeded, defaults to 'lru'
+       */
+      policy?: "lru" | "lfu" | "ttl";
     }
     interface Memcached {
       location: string;
     }
+    interface File {
+      path?: string;
+    }
+    interface Sqlite {
+      filename?: string;
+      mode?: number;
+      /**
+       * Milliseconds between purges of expired entries and locks, defaults to 60000
+       */
+      interval?: number;
+      /**
+       * Milliseconds to wait for other connections to release the database, defaults to 5000
+       */
+      busyTimeout?: number;
+    }
+    interface Tiered {
+      remote: DriverOptions | Driver;
+      local?: Memory | Driver;
+      ttl?: number;
+      /**
+       * Bus announcing writes, removals and flushes to the other instances
+       */
+      bus?: BusOptions | Bus;
+    }
+  }
+
+  interface BusOptions {
+    type: "redis" | "memory" | string;
+    options?: BusOptions.Redis | BusOptions.Memory;
+  }
+
+  namespace BusOptions {
+    interface Memory {
+      /**
+       * Defaults to `${namespace}:invalidations`
+       */
+      channel?: string;
+    }
+    interface Redis extends Memory {
+      host?: string;
+      port?: number;
+      /**
+       * Client publishing messages, left open on dispose
+       */
+      client?: any;
+    }
+  }
+
+  interface InvalidationMessage {
+    source: string;
+    keys?: string[];
+    tags?: string[];
+    flush?: boolean;
+  }
+
+  /**
+   * Invalidation bus, emits 'message' with every message received
+   *
+   */
+  export class Bus extends EventEmitter {
+    readonly channel: string;
+
+    /**
+     * Publish a message to every subscriber of the channel
+     *
+     */
+    publish(message: InvalidationMessage): Promise<void>;
+
+    /**
+     * Stop receiving messages and dispose connections
+     *
+     */
+    dispose(): Promise<void>;
   }
 
   interface CacheOptions {
     driver: DriverOptions | Driver;
-    serializer: string | Serializer;
+    serializer: string | SerializerOptions | Serializer;
     debug?: IDebugger;
     ttl?: number;
     namespace?: string;
+    /**
+     * 'set' tracks the members of every tag, 'version' tags items by stored tag versions,
+     * which every process reuses for a second
+     */
+    tagging?: "set" | "version";
+    stampede?: StampedeOptions;
+    schema?: SchemaOptions;
+  }
+
+  interface SerializerOptions {
+    /**
+     * 'json', 'typed-json' or 'msgpack'
+     */
+    type: string;
+    /**
+     * Codecs of application classes, supported by 'typed-json' and 'msgpack'
+     */
+    codecs?: Codec[];
+    /**
+     * Formats read besides `type`. Payloads carry a header naming their format,
+     * payloads without a header are tried with these formats in order
+     */
+    read?: Array<string | { type: string; codecs?: Codec[] }>;
+    /**
+     * Write the format header, defaults to true once `read`, `header` or `reencode` is given
+     */
+    header?: boolean;
+    /**
+     * Rewrite payloads of other formats in the current format when they are read
+     */
+    reencode?: boolean;
+    /**
+     * Compress payloads passing the threshold
+     */
+    compress?: boolean | CompressOptions;
+    /**
+     * Encrypt payloads with AES-256-GCM
+     */
+    encrypt?: EncryptOptions;
+  }
+
+  interface EncryptOptions {
+    /**
+     * 32 byte keys by id, given as Buffers, hex or base64 strings
+     */
+    keys: { [id: string]: Buffer | string };
+    /**
+     * Id of the key new payloads are encrypted with, defaults to the first key
+     */
+    current?: string;
+  }
+
+  interface Codec {
+    /**
+     * Unique type name for 'typed-json', extension type between 0 and 127 for 'msgpack'
+     */
+    type: string | number;
+    constructor: Function;
+    /**
+     * Turn an instance into data, a Buffer for 'msgpack'
+     */
+    encode(value: any): any;
+    /**
+     * Turn data back into an instance
+     */
+    decode(data: any): any;
+  }
+
+  interface CompressOptions {
+    /**
+     * Defaults to 'gzip'
+     */
+    algorithm?: "gzip" | "deflate" | "brotli";
+    /**
+     * Bytes a serialized payload needs before it is compressed, defaults to 1024
+     */
+    threshold?: number;
+  }
+
+  interface SchemaOptions {
+    /**
+     * Schema version objects are stamped with, starting from 1
+     */
+    version: number;
+    /**
+     * Functions turning a value of the version they are keyed by into a value of the next version.
+     * Objects stored without a stamp are of version 0
+     */
+    migrations?: { [from: number]: (value: any) => any };
+  }
+
+  interface StampedeOptions {
+    /**
+     * Seconds the recompute lock is held at most
+     */
+    lock?: number;
+    /**
+     * Seconds to wait for another process before recomputing anyway
+     */
+    wait?: number;
+    /**
+     * Milliseconds between polls while waiting
+     */
+    interval?: number;
   }
   /**
    * Cache serializer
@@ -45,13 +277,20 @@ declare namespace Leafcutter {
      * Serialize a value
      *
      */
-    serialize(value: any): string;
+    serialize(value: any): string | Buffer;
+
+    /**
+     * Deserialize a string or a Buffer
+     *
+     */
+    deserialize(value: string | Buffer): any;
 
     /**
-     * Deserialize a string
+     * Determine if serialized values can be Buffers,
+     * in which case drivers store them as binary values and read them back as Buffers
      *
      */
-    deserialize(value: string): any;
+    readonly binary: boolean;
   }
 
   /**
@@ -89,17 +328,106 @@ declare namespace Leafcutter {
     readonly hash: string;
 
     /**
-     * Get a reference key
+     * Get a reference key.
+     * When tag versions are given, the reference changes as soon as any of the versions changes
      *
      */
-    ref(key: string): string;
+    ref(key: string, versions?: string[]): string;
+  }
+
+  /**
+   * Payload of cache events
+   *
+   */
+  interface CacheEvent {
+    /**
+     * Cache method which caused the event
+     */
+    method: string;
+    key?: string | string[];
+    tags: string[];
+    /**
+     * Driver class name
+     */
+    driver: string;
+    /**
+     * Milliseconds the driver call took
+     */
+    duration: number;
+    /**
+     * Bytes of the serialized value read or written
+     */
+    size: number;
+    error?: Error;
+  }
+
+  type CacheEventName =
+    | "hit"
+    | "miss"
+    | "write"
+    | "forget"
+    | "flush"
+    | "error"
+    | "expired"
+    | "evicted";
+
+  interface StatsCounters {
+    hits: number;
+    misses: number;
+    writes: number;
+    evictions: number;
+    errors: number;
+  }
+
+  interface StatsHistogram {
+    /**
+     * Cumulative counts keyed by their upper bound in milliseconds
+     */
+    buckets: { [le: string]: number };
+    /**
+     * Total milliseconds
+     */
+    sum: number;
+    count: number;
+  }
+
+  interface StatsSnapshot extends StatsCounters {
+    operations: { [operation: string]: StatsCounters };
+    tags: { [tag: string]: StatsCounters };
+    latency: { [driver: string]: { [operation: string]: StatsHistogram } };
+  }
+
+  export class Stats {
+    /**
+     * Record an operation
+     *
+     */
+    record(
+      event: string | undefined,
+      method: string,
+      tags: string[],
+      driver: string,
+      duration?: number
+    ): void;
+
+    /**
+     * Get a copy of the current statistics
+     *
+     */
+    snapshot(): StatsSnapshot;
+
+    /**
+     * Render a snapshot in the Prometheus text exposition format
+     *
+     */
+    static render(snapshot: StatsSnapshot, prefix?: string): string;
   }
 
   /**
    * Cache driver
    *
    */
-  export class Driver {
+  export class Driver extends EventEmitter {
     /**
      * Creates an instance of Driver
      */
@@ -139,17 +467,38 @@ declare namespace Leafcutter {
       tagset?: TagSet
     ): Promise<void>;
 
+    /**
+     * Store an item unless it exists, as one atomic step
+     *
+     */
+    add(
+      key: string,
+      value: any,
+      ttl?: number,
+      tagset?: TagSet
+    ): Promise<boolean>;
+
     /**
      * Increase the value of an integer item
      *
      */
-    increment(key: string, amount?: number, tagset?: TagSet): Promise<number>;
+    increment(
+      key: string,
+      amount?: number,
+      tagset?: TagSet,
+      ttl?: number
+    ): Promise<number>;
 
     /**
      * Decrease the value of an integer item
      *
      */
-    decrement(key: string, amount?: number, tagset?: TagSet): Promise<number>;
+    decrement(
+      key: string,
+      amount?: number,
+      tagset?: TagSet,
+      ttl?: number
+    ): Promise<number>;
 
     /**
      * Store an item in the cache permanently.
@@ -165,28 +514,81 @@ declare namespace Leafcutter {
     forget(key: string, tagset?: TagSet): Promise<void>;
 
     /**
-     * Clear the entire cache
+     * Remove items from the cache
+     *
+     */
+    forgetMany(keys: string[], tagset?: TagSet): Promise<void>;
+
+    /**
+     * Clear the items of the namespace
      *
      */
     flush(tagset?: TagSet): Promise<void>;
 
+    /**
+     * Clear the entire backend, including the items of other namespaces
+     *
+     */
+    flushAll(): Promise<void>;
+
     /**
      * Determine if an item exists in the cache
      *
      */
     has(key: string, tagset?: TagSet): Promise<boolean>;
 
+    /**
+     * Retrieve a page of stored keys, the cursor is undefined after the last page
+     *
+     */
+    scan(
+      cursor?: any,
+      pattern?: string,
+      tagset?: TagSet
+    ): Promise<{ cursor: any; keys: string[] }>;
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     *
+     */
+    acquire(name: string, owner: string, seconds: number): Promise<boolean>;
+
+    /**
+     * Release a lock if it is held by the given owner
+     *
+     */
+    release(name: string, owner: string): Promise<boolean>;
+
+    /**
+     * Release a lock regardless of its owner
+     *
+     */
+    forceRelease(name: string): Promise<void>;
+
     /**
      * Serialize a value
      *
      */
-    serialize(value: any): string;
+    serialize(value: any): string | Buffer;
 
     /**
      * Deserialize a value
      *
      */
-    deserialize(value: string): any;
+    deserialize(value: string | Buffer): any;
+
+    /**
+     * Determine if serialized values can be Buffers which must be read back as Buffers
+     *
+     */
+    readonly binary: boolean;
+
+    /**
+     * Determine if serialized integers are plain decimal strings,
+     * in which case counters can be updated in place by the backend
+     *
+     */
+    readonly numeric: boolean;
 
     /**
      * Dispose connection
@@ -195,6 +597,50 @@ declare namespace Leafcutter {
     dispose(): Promise<any>;
   }
 
+  /**
+   * Lock held in a cache driver
+   *
+   */
+  export class Lock {
+    /**
+     * Creates an instance of Lock
+     */
+    new(driver: Driver, name: string, seconds: number, owner?: string): Lock;
+
+    /**
+     * Attempt to acquire the lock.
+     * If a callback is given, it is called once the lock is acquired and the lock is released afterwards
+     *
+     */
+    get(): Promise<boolean>;
+    get<T>(callback: Func<T>): Promise<T | false>;
+
+    /**
+     * Attempt to acquire the lock for the given number of seconds
+     *
+     */
+    block(seconds: number): Promise<true>;
+    block<T>(seconds: number, callback: Func<T>, interval?: number): Promise<T>;
+
+    /**
+     * Release the lock if it is held by this owner
+     *
+     */
+    release(): Promise<boolean>;
+
+    /**
+     * Release the lock regardless of its owner
+     *
+     */
+    forceRelease(): Promise<void>;
+
+    /**
+     * Get the owner token, which can be used to restore the lock in another process
+     *
+     */
+    owner(): string;
+  }
+
   type IDebugger = (...args: any[]) => void;
   type Func<T> = () => T | Promise<T>;
 
@@ -202,7 +648,7 @@ declare namespace Leafcutter {
    * Cache
    *
    */
-  export class Cache {
+  export class Cache extends EventEmitter {
     /**
      * Creates an instance of Cache
      */
@@ -211,8 +657,16 @@ declare namespace Leafcutter {
       ttl?: number;
       tags?: string[];
       debug?: IDebugger;
+      stampede?: StampedeOptions;
+      schema?: SchemaOptions;
     });
 
+    /**
+     * Listen to cache events, events of tagged caches bubble up to their parents
+     *
+     */
+    on(event: CacheEventName, listener: (event: CacheEvent) => void): this;
+
     /**
      * Retrieve an item from the cache
      *
@@ -229,13 +683,14 @@ declare namespace Leafcutter {
      * Increase the value of an integer item
      *
      */
-    increment(key: string, amount?: number): Promise<number>;
+    increment(key: string, amount?: number, ttl?: number): Promise<number>;
 
     /**
-     * Decrease the value of an integer item
+     * Decrease the value of an integer item,
+     * memcached counters do not go below zero
      *
      */
-    decrement(key: string, amount?: number): Promise<number>;
+    decrement(key: string, amount?: number, ttl?: number): Promise<number>;
 
     /**
      * Retrieve an item from the cache or, if it doesn't exist, resolve the func and add its return value to the cache
@@ -243,6 +698,21 @@ declare namespace Leafcutter {
      */
     remember<T>(key: string, func: Func<T>, ttl?: number): Promise<T>;
 
+    /**
+     * Retrieve an item from the cache, serving it while stale and refreshing it in the background.
+     * Within the fresh window the cached value is returned. Within the stale window the cached value is returned and refreshed in the background.
+     * After that the func is resolved before returning
+     *
+     */
+    flexible<T>(key: string, ttl: [number, number], func: Func<T>): Promise<T>;
+
+    /**
+     * Retrieve items from the cache in one driver call.
+     * Every key is present in the result, keys which are missing from the cache are undefined
+     *
+     */
+    many(keys: string[]): Promise<{ [key: string]: any }>;
+
     /**
      * Retrieve an item from the cache and then delete the item
      *
@@ -255,6 +725,18 @@ declare namespace Leafcutter {
      */
     put(key: string, value: string, ttl?: number): Promise<void>;
 
+    /**
+     * Store an array of items in the cache in one driver call
+     *
+     */
+    put(items: Array<{ key: string; value: any }>, ttl?: number): Promise<void>;
+
+    /**
+     * Store items in the cache in one driver call
+     *
+     */
+    putMany(values: { [key: string]: any }, ttl?: number): Promise<void>;
+
     /**
      * Add the item to the cache if it does not already exist.
      * The method will return true if the item is actually added to the cache
@@ -276,17 +758,49 @@ declare namespace Leafcutter {
     forget(key: string): Promise<void>;
 
     /**
-     * Clear the entire cache
+     * Remove items from the cache in one driver call
+     *
+     */
+    forgetMany(keys: string[]): Promise<void>;
+
+    /**
+     * Clear the items of the namespace, or the items of the tags
      *
      */
     flush(): Promise<void>;
 
+    /**
+     * Clear the entire backend regardless of namespaces and tags,
+     * which removes the items of every other application sharing it
+     *
+     */
+    flushAll(): Promise<void>;
+
+    /**
+     * Iterate over the stored keys, or the keys of the items of the tags, optionally matching a glob-style pattern.
+     * Memcached only yields the keys of tags, and none with tagging 'version', whose iterators reject on the first call of next()
+     *
+     */
+    keys(pattern?: string): AsyncIterableIterator<string>;
+
     /**
      * Tags allow you to tag related items in the cache and then flush all cached values that have been assigned a given tag
      *
      */
     tags(...tags: string[]): Cache;
 
+    /**
+     * Get a lock instance held in the driver
+     *
+     */
+    lock(name: string, seconds: number, owner?: string): Lock;
+
+    /**
+     * Get the hits, misses, writes, evictions and errors per operation and per tag, along with the latency of driver calls
+     *
+     */
+    stats(): StatsSnapshot;
+
     /**
      * Dispose driver connections
      *
@@ -1,67 +1,244 @@
 const Cache = require('./src/cache');
 const Driver = require('./src/driver');
 const Serializer = require('./src/serializer');
+const Bus = require('./src/bus');
+const Lock = require('./src/lock');
+const Stats = require('./src/stats');
 
 /**
- * Create a Cache instance
+ * Driver classes by type name, built-in drivers are loaded on first use
+ */
+const drivers = new Map([
+    ['redis', () => require('./src/drivers/redis')],
+    ['memcached', () => require('./src/drivers/memcached')],
+    [':memory:', () => require('./src/drivers/memory')],
+    ['file', () => require('./src/drivers/file')],
+    ['sqlite', () => require('./src/drivers/sqlite')],
+    ['tiered', () => require('./src/drivers/tiered')]
+]);
+
+/**
+ * Serializer classes by type name, built-in serializers are loaded on first use
+ */
+const serializers = new Map([
+    ['json', () => require('./src/serializers/json')],
+    ['typed-json', () => require('./src/serializers/typed')],
+    ['msgpack', () => require('./src/serializers/msgpack')]
+]);
+
+/**
+ * Bus classes by type name, built-in buses are loaded on first use
+ */
+const buses = new Map([
+    ['redis', () => require('./src/buses/redis')],
+    ['memory', () => require('./src/buses/memory')]
+]);
+
+/**
+ * Create a Bus instance
  * 
- * @param {{driver: {type: String, options: Object}|Driver, debug?: Function, serializer?: String|Serializer, ttl?: Number, namespace?: String}} options 
- * @returns {Cache}
+ * @param {{type: String, options?: Object}|Bus} options 
+ * @param {String} [namespace] 
+ * @returns {Bus}
  */
-function factory(options) {
-    if (!options) {
-        throw new Error('options must be provided');
+function createBus(options, namespace) {
+    if (options instanceof Bus) {
+        return options;
     }
-    let serializer, driver;
-    if (options.serializer instanceof Serializer) {
-        serializer = options.serializer;
-    } else if (typeof options.serializer === 'string') {
-        let Serializer;
-        switch (options.serializer) {
-        case 'json':
-            Serializer = require('./src/serializers/json');
-            break;
-        case 'msgpack':
-            Serializer = require('./src/serializers/msgpack');
-            break;
-        default:
-            throw new Error('Unknown serializer');
-        }
-        serializer = new Serializer();
-    } else {
+    if (!options || typeof options !== 'object' || !options.type) {
+        throw new Error('A valid bus must be provided');
+    }
+    if (!buses.has(options.type)) {
+        throw new Error('Unknown bus');
+    }
+    const BusClass = buses.get(options.type)();
+
+    return new BusClass({ namespace, bus: options.options });
+}
+
+/**
+ * Create a Driver instance
+ * 
+ * @param {{type: String, options: Object}|Driver} options 
+ * @param {String} [namespace] 
+ * @param {Serializer} serializer 
+ * @returns {Driver}
+ */
+function createDriver(options, namespace, serializer) {
+    if (options instanceof Driver) {
+        return options;
+    }
+    if (!options || typeof options !== 'object' || !options.type) {
+        throw new Error('A valid driver must be provided');
+    }
+    if (!drivers.has(options.type)) {
+        throw new Error('Unknown driver');
+    }
+    const DriverClass = drivers.get(options.type)();
+    let driverOptions = options.options;
+    if (options.type === 'tiered') {
+        driverOptions = Object.assign({}, driverOptions, {
+            remote: createDriver(
+                driverOptions && driverOptions.remote,
+                namespace,
+                serializer
+            ),
+            bus:
+                driverOptions && driverOptions.bus
+                    ? createBus(driverOptions.bus, namespace)
+                    : undefined
+        });
+    }
+
+    return new DriverClass({ namespace, serializer, driver: driverOptions });
+}
+
+/**
+ * Create a Serializer instance of a registered format
+ * 
+ * @param {String|{type: String, codecs?: Array<{type: String|Number, constructor: Function, encode: Function, decode: Function}>}} options 
+ * @returns {Serializer}
+ */
+function createFormat(options) {
+    if (typeof options === 'string') {
+        options = { type: options };
+    }
+    if (!options || typeof options !== 'object' || !options.type) {
         throw new Error('A valid serializer must be provided');
     }
-    if (options.driver instanceof Driver) {
-        driver = options.driver;
-    } else if (typeof options.driver === 'object' && options.driver.type) {
-        let Driver;
-        switch (options.driver.type) {
-        case 'redis':
-            Driver = require('./src/drivers/redis');
-            break;
-        case 'memcached':
-            Driver = require('./src/drivers/memcached');
-            break;
-        case ':memory:':
-            Driver = require('./src/drivers/memory');
-            break;
-        default:
-            throw new Error('Unknown driver');
+    if (!serializers.has(options.type)) {
+        throw new Error('Unknown serializer');
+    }
+    const SerializerClass = serializers.get(options.type)();
+    const serializer = new SerializerClass();
+    if (options.codecs) {
+        if (typeof serializer.register !== 'function') {
+            throw new Error('The serializer does not support codecs');
         }
-        driver = new Driver({
-            namespace: options.namespace,
+        options.codecs.forEach(codec =>
+            serializer.register(
+                codec.type,
+                codec.constructor,
+                codec.encode,
+                codec.decode
+            )
+        );
+    }
+
+    return serializer;
+}
+
+/**
+ * Create a Serializer instance
+ * 
+ * @param {String|{type: String, codecs?: Array<{type: String|Number, constructor: Function, encode: Function, decode: Function}>, read?: Array<String|Object>, header?: Boolean, reencode?: Boolean, compress?: Boolean|{algorithm?: String, threshold?: Number}, encrypt?: {keys: Object, current?: String}}|Serializer} options 
+ * @returns {Serializer}
+ */
+function createSerializer(options) {
+    if (options instanceof Serializer) {
+        return options;
+    }
+    let serializer = createFormat(options);
+    if (typeof options === 'string') {
+        return serializer;
+    }
+    if (options.read || options.reencode || options.header !== undefined) {
+        const MultiFormatSerializer = require('./src/serializers/multiformat');
+        serializer = new MultiFormatSerializer({
             serializer,
-            driver: options.driver.options
+            format: options.type,
+            readers: (options.read || []).map(format => [
+                typeof format === 'string' ? format : format && format.type,
+                createFormat(format)
+            ]),
+            header: options.header,
+            reencode: options.reencode
         });
-    } else {
-        throw new Error('A valid driver must be provided');
+    }
+    if (options.compress) {
+        const CompressedSerializer = require('./src/serializers/compressed');
+        serializer = new CompressedSerializer(
+            Object.assign({}, options.compress, { serializer })
+        );
+    }
+    // encrypted payloads do not compress, so they are compressed first
+    if (options.encrypt) {
+        const EncryptedSerializer = require('./src/serializers/encrypted');
+        serializer = new EncryptedSerializer(
+            Object.assign({}, options.encrypt, { serializer })
+        );
+    }
+
+    return serializer;
+}
+
+/**
+ * Create a Cache instance
+ * 
+ * @param {{driver: {type: String, options: Object}|Driver, debug?: Function, serializer?: String|{type: String, compress?: Boolean|Object, encrypt?: Object}|Serializer, ttl?: Number, namespace?: String, tagging?: String, stampede?: {lock?: Number, wait?: Number, interval?: Number}, schema?: {version: Number, migrations?: Object<Number, Function>}}} options 
+ * @returns {Cache}
+ */
+function factory(options) {
+    if (!options) {
+        throw new Error('options must be provided');
+    }
+    const serializer = createSerializer(options.serializer);
+    let driver = createDriver(options.driver, options.namespace, serializer);
+    if (options.tagging === 'version') {
+        const VersionedDriver = require('./src/drivers/versioned');
+        driver = new VersionedDriver({ driver });
+    } else if (options.tagging && options.tagging !== 'set') {
+        throw new Error('Unknown tagging strategy');
     }
 
-    return new Cache({ driver, ttl: options.ttl, debug: options.debug });
+    return new Cache({
+        driver,
+        ttl: options.ttl,
+        debug: options.debug,
+        stampede: options.stampede,
+        schema: options.schema
+    });
 }
 
+/**
+ * Register a driver or serializer class, so that it can be configured by name
+ * 
+ * @param {String} kind 'driver', 'serializer' or 'bus' 
+ * @param {String} name 
+ * @param {Function} Class 
+ */
+factory.extend = function extend(kind, name, Class) {
+    let registry, Base;
+    switch (kind) {
+    case 'driver':
+        registry = drivers;
+        Base = Driver;
+        break;
+    case 'serializer':
+        registry = serializers;
+        Base = Serializer;
+        break;
+    case 'bus':
+        registry = buses;
+        Base = Bus;
+        break;
+    default:
+        throw new Error('Unknown extension kind');
+    }
+    if (!name || typeof name !== 'string') {
+        throw new Error('A valid name must be provided');
+    }
+    if (typeof Class !== 'function' || !(Class.prototype instanceof Base)) {
+        throw new Error(`A ${kind} must extend ${Base.name}`);
+    }
+    registry.set(name, () => Class);
+};
+
 factory.Cache = Cache;
 factory.Driver = Driver;
 factory.Serializer = Serializer;
+factory.Bus = Bus;
+factory.Lock = Lock;
+factory.Stats = Stats;
 
 module.exports = factory;
@@ -0,0 +1,47 @@
+/*eslint no-unused-vars: off */
+const EventEmitter = require('events');
+
+/**
+ * Buses carry invalidation messages between processes and emit 'message' with every message received,
+ * including the ones published by the same bus
+ */
+module.exports = class Bus extends EventEmitter {
+
+    /**
+     * Creates an instance of Bus
+     * 
+     * @param {{namespace?: String, bus?: {channel?: String}}} [options] 
+     */
+    constructor(options) {
+        super();
+        this.namespace = options && options.namespace;
+        const bus = (options && options.bus) || {};
+        this.channel =
+            bus.channel ||
+            (this.namespace
+                ? `${this.namespace}:invalidations`
+                : 'invalidations');
+    }
+
+    /**
+     * Publish a message to every subscriber of the channel
+     * 
+     * @param {{source: String, keys?: Array<String>, tags?: Array<String>, flush?: Boolean}} message 
+     * @returns {Promise<void>}
+     * @memberof Bus
+     */
+    publish(message) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
+    /**
+     * Stop receiving messages and dispose connections
+     * 
+     * @returns {Promise<void>}
+     * @memberof Bus
+     */
+    dispose() {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
+};
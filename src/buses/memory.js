@@ -0,0 +1,57 @@
+const EventEmitter = require('events');
+const Promise = require('bluebird');
+const Bus = require('../bus');
+
+/**
+ * Channels shared by every memory bus of the process
+ */
+const hubs = new Map();
+
+module.exports = class MemoryBus extends Bus {
+
+    /**
+     * Creates an instance of MemoryBus.
+     * Buses of the same channel in one process receive each other's messages
+     * 
+     * @param {{namespace?: String, bus?: {channel?: String}}} [options] 
+     */
+    constructor(options) {
+        super(options);
+        if (!hubs.has(this.channel)) {
+            hubs.set(this.channel, new EventEmitter().setMaxListeners(0));
+        }
+        this.hub = hubs.get(this.channel);
+        this.receive = message => this.emit('message', message);
+        this.hub.on('message', this.receive);
+    }
+
+    /**
+     * Publish a message to every subscriber of the channel
+     * 
+     * @param {{source: String, keys?: Array<String>, tags?: Array<String>, flush?: Boolean}} message 
+     * @returns {Promise<void>}
+     * @memberof MemoryBus
+     */
+    publish(message) {
+        return Promise.try(() => {
+            // subscribers get copies, as they would from a remote transport
+            this.hub.emit('message', JSON.parse(JSON.stringify(message)));
+        });
+    }
+
+    /**
+     * Stop receiving messages
+     * 
+     * @returns {Promise<void>}
+     * @memberof MemoryBus
+     */
+    dispose() {
+        return Promise.try(() => {
+            this.hub.removeListener('message', this.receive);
+            if (!this.hub.listenerCount('message')) {
+                hubs.delete(this.channel);
+            }
+        });
+    }
+
+};
@@ -0,0 +1,85 @@
+const Promise = require('bluebird');
+const { RedisClient } = require('redis');
+const Bus = require('../bus');
+
+module.exports = class RedisBus extends Bus {
+
+    /**
+     * Creates an instance of RedisBus.
+     * Messages are published on a Redis channel, subscriptions take a connection of their own.
+     * A given client, such as an ioredis cluster client, is used for publishing and left open on dispose
+     * 
+     * @param {{namespace?: String, bus: {channel?: String, client?: Object, host?: String, port?: Number}}} [options] 
+     */
+    constructor(options) {
+        super(options);
+        const bus = (options && options.bus) || {};
+        this.shared = !!bus.client;
+        this.publisher = bus.client || new RedisClient(bus);
+        this.subscriber = this.publisher.duplicate();
+        this.subscriber.on('message', (channel, message) => {
+            if (channel !== this.channel) {
+                return;
+            }
+            let parsed;
+            try {
+                parsed = JSON.parse(message);
+            } catch (err) {
+                // messages of other publishers on the same channel are ignored
+                return;
+            }
+            this.emit('message', parsed);
+        });
+        this.subscriber.subscribe(this.channel);
+    }
+
+    /**
+     * Publish a message to every subscriber of the channel
+     * 
+     * @param {{source: String, keys?: Array<String>, tags?: Array<String>, flush?: Boolean}} message 
+     * @returns {Promise<void>}
+     * @memberof RedisBus
+     */
+    publish(message) {
+        return new Promise((resolve, reject) => {
+            this.publisher.publish(
+                this.channel,
+                JSON.stringify(message),
+                err => {
+                    if (err) {
+                        reject(err);
+                    } else {
+                        resolve();
+                    }
+                }
+            );
+        });
+    }
+
+    /**
+     * Unsubscribe and dispose connections
+     * 
+     * @returns {Promise<void>}
+     * @memberof RedisBus
+     */
+    dispose() {
+        const clients = this.shared
+            ? [this.subscriber]
+            : [this.subscriber, this.publisher];
+
+        return Promise.map(
+            clients,
+            client =>
+                new Promise((resolve, reject) => {
+                    client.quit(err => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            resolve();
+                        }
+                    });
+                })
+        ).then(() => undefined);
+    }
+
+};
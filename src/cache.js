@@ -1,16 +1,455 @@
+const EventEmitter = require('events');
 const Promise = require('bluebird');
 const Driver = require('./driver');
 const TagSet = require('./tagset');
+const Lock = require('./lock');
+const Stats = require('./stats');
 
-module.exports = class Cache {
+/**
+ * Get the number of bytes a value takes once serialized
+ * 
+ * @param {Driver} driver 
+ * @param {any} value 
+ * @returns {Number}
+ */
+function sizeOf(driver, value) {
+    if (value === undefined) {
+        return 0;
+    }
+    const data = driver.serialize(value);
+    if (Buffer.isBuffer(data)) {
+        return data.length;
+    }
+
+    return Buffer.byteLength(
+        typeof data === 'string' ? data : JSON.stringify(data) || ''
+    );
+}
+
+/**
+ * Determine if anyone listens to an event of the cache or its parents
+ * 
+ * @param {Cache} cache 
+ * @param {String} event 
+ * @returns {Boolean}
+ */
+function listening(cache, event) {
+    for (let c = cache; c; c = c.parent) {
+        if (c.listenerCount(event)) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+/**
+ * Emit an event on the cache and bubble it up to the root cache
+ * 
+ * @param {Cache} cache 
+ * @param {String} event 
+ * @param {Object} payload 
+ */
+function notify(cache, event, payload) {
+    for (let c = cache; c; c = c.parent) {
+        // emitting 'error' without listeners throws
+        if (c.listenerCount(event)) {
+            c.emit(event, payload);
+        }
+    }
+}
+
+/**
+ * Run a driver call, record it and emit an event once it settles.
+ * Batch calls given an array of keys emit an event per key, with the result and value of the key.
+ * Failed calls emit 'error' and are rejected as usual
+ * 
+ * @param {Cache} cache 
+ * @param {String} method 
+ * @param {String|Array<String>} key 
+ * @param {Function} task 
+ * @param {String|Function} [event] event name, or a function picking it from the result
+ * @param {any} [value] value written by the call, defaults to the result
+ * @returns {Promise<any>}
+ */
+function observe(cache, method, key, task, event, value) {
+    const start = process.hrtime();
+    const tags = cache.tagset ? cache.tagset.names : [];
+    const driver = cache.driver.constructor.name;
+    let duration;
+    const settle = (name, key, details) => {
+        // the driver call is timed once, even if it settles a batch of keys
+        if (duration === undefined) {
+            const [seconds, nanoseconds] = process.hrtime(start);
+            duration = seconds * 1e3 + nanoseconds / 1e6;
+            cache.statistics.record(name, method, tags, driver, duration);
+        } else {
+            cache.statistics.record(name, method, tags, driver);
+        }
+        // details are only computed for listeners since sizes take a serialization
+        if (name && listening(cache, name)) {
+            notify(
+                cache,
+                name,
+                Object.assign(
+                    { method, key, tags, driver, duration },
+                    details()
+                )
+            );
+        }
+    };
+    const pick = result =>
+        typeof event === 'function' ? event(result) : event;
+
+    return Promise.try(task).then(
+        result => {
+            const written = value === undefined ? result : value;
+            if (Array.isArray(key)) {
+                key.forEach((k, index) =>
+                    settle(
+                        pick(Array.isArray(result) ? result[index] : result),
+                        k,
+                        () => ({
+                            size: sizeOf(
+                                cache.driver,
+                                written && written[index]
+                            )
+                        })
+                    )
+                );
+            } else {
+                settle(pick(result), key, () => ({
+                    size: sizeOf(cache.driver, written)
+                }));
+            }
+
+            return result;
+        },
+        error => {
+            settle('error', key, () => ({ size: 0, error }));
+            throw error;
+        }
+    );
+}
+
+/**
+ * Store items in one driver call
+ * 
+ * @param {Cache} cache 
+ * @param {Array<{key: String, value: any}>} array 
+ * @param {Number} [ttl] 
+ * @returns {Promise<void>}
+ */
+function store(cache, array, ttl) {
+    if (!cache.driver || !array.length) {
+        return Promise.resolve();
+    }
+    const keys = array.map(item => item.key);
+
+    cache.debug('putMany', keys.join());
+
+    return observe(
+        cache,
+        'putMany',
+        keys,
+        () =>
+            cache.driver.putMany(
+                array.map(item => ({
+                    key: item.key,
+                    value: stamp(cache, item.value)
+                })),
+                ttl || cache.ttl,
+                cache.tagset
+            ),
+        'write',
+        array.map(item => item.value)
+    );
+}
+
+/**
+ * Run a task unless the same task is already pending, in which case its promise is shared
+ * 
+ * @param {Cache} cache 
+ * @param {String} id 
+ * @param {Function} task 
+ * @returns {Promise<any>}
+ */
+function share(cache, id, task) {
+    if (!cache.flights.has(id)) {
+        cache.flights.set(
+            id,
+            Promise.try(task).finally(() => cache.flights.delete(id))
+        );
+    }
+
+    return cache.flights.get(id);
+}
+
+/**
+ * Resolve the func and add its return value to the cache
+ * 
+ * @param {Cache} cache 
+ * @param {String} key 
+ * @param {Function} func 
+ * @param {Number} [ttl] 
+ * @returns {Promise<any>}
+ */
+function produce(cache, key, func, ttl) {
+    cache.debug('remember', key, 'callback');
+
+    return Promise.try(func).then(result => {
+        if (result !== undefined) {
+            return observe(
+                cache,
+                'remember',
+                key,
+                () =>
+                    cache.driver.put(
+                        key,
+                        stamp(cache, result),
+                        ttl || cache.ttl,
+                        cache.tagset
+                    ),
+                'write',
+                result
+            ).then(() => result);
+        }
+
+        return result;
+    });
+}
+
+/**
+ * Resolve the func while holding a lock in the driver, so that only one process recomputes the value.
+ * Other processes poll the cache until the value shows up or the wait time is exceeded
+ * 
+ * @param {Cache} cache 
+ * @param {String} key 
+ * @param {Function} func 
+ * @param {Number} [ttl] 
+ * @returns {Promise<any>}
+ */
+function produceExclusively(cache, key, func, ttl) {
+    const { lock = 10, wait = 10, interval = 100 } = cache.stampede;
+    const mutex = cache.lock(
+        `remember:${cache.tagset ? cache.tagset.ref(key) : key}`,
+        lock
+    );
+    const deadline = Date.now() + wait * 1000;
+
+    const attempt = () =>
+        mutex.get().then(acquired => {
+            if (acquired) {
+                return retrieve(cache, key)
+                    .then(value => value || produce(cache, key, func, ttl))
+                    .finally(() =>
+                        // the lock expires by itself if it cannot be released
+                        mutex.release().catch(() => {})
+                    );
+            }
+
+            cache.debug('remember', key, 'wait');
+
+            return Promise.delay(interval)
+                .then(() => retrieve(cache, key))
+                .then(value => {
+                    if (value) {
+                        return value;
+                    }
+                    if (Date.now() >= deadline) {
+                        return produce(cache, key, func, ttl);
+                    }
+
+                    return attempt();
+                });
+        });
+
+    return attempt();
+}
+
+/**
+ * Resolve the func and store its return value along with the time it is computed at
+ * 
+ * @param {Cache} cache 
+ * @param {String} key 
+ * @param {Array<Number>} ttl fresh and stale seconds
+ * @param {Function} func 
+ * @returns {Promise<any>}
+ */
+function refresh(cache, key, ttl, func) {
+    cache.debug('flexible', key, 'callback');
+
+    return Promise.try(func).then(result => {
+        if (result !== undefined) {
+            const envelope = {
+                value: stamp(cache, result),
+                created: Date.now()
+            };
+
+            return observe(
+                cache,
+                'flexible',
+                key,
+                () =>
+                    cache.driver.put(
+                        key,
+                        envelope,
+                        ttl[0] + ttl[1],
+                        cache.tagset
+                    ),
+                'write',
+                envelope
+            ).then(() => result);
+        }
+
+        return result;
+    });
+}
+
+/**
+ * Determine if a value is an envelope stored by 'flexible'
+ * 
+ * @param {any} value 
+ * @returns {Boolean}
+ */
+function isEnvelope(value) {
+    return (
+        value != null &&
+        typeof value === 'object' &&
+        typeof value.created === 'number' &&
+        'value' in value
+    );
+}
+
+/**
+ * Determine if a value is stamped with a schema version
+ * 
+ * @param {any} value 
+ * @returns {Boolean}
+ */
+function isStamped(value) {
+    return (
+        value != null &&
+        typeof value === 'object' &&
+        typeof value.$schema === 'number' &&
+        'value' in value
+    );
+}
+
+/**
+ * Stamp an object with the schema version of the cache.
+ * Primitives are stored as they are, so that counters keep working
+ * 
+ * @param {Cache} cache 
+ * @param {any} value 
+ * @returns {any}
+ */
+function stamp(cache, value) {
+    if (!cache.schema || value === null || typeof value !== 'object') {
+        return value;
+    }
+
+    return { $schema: cache.schema.version, value };
+}
+
+/**
+ * Bring a stored value up to the schema version of the cache.
+ * Objects without a stamp are of version 0. Values of newer versions, or of versions without a migration, are treated as missing
+ * 
+ * @param {Cache} cache 
+ * @param {any} value 
+ * @returns {Promise<any>}
+ */
+function migrate(cache, value) {
+    if (!cache.schema || value === null || typeof value !== 'object') {
+        return Promise.resolve(value);
+    }
+    let version = 0;
+    if (isStamped(value)) {
+        version = value.$schema;
+        value = value.value;
+    }
+    const { version: current, migrations = {} } = cache.schema;
+    if (version > current) {
+        return Promise.resolve(undefined);
+    }
+    const steps = [];
+    for (let from = version; from < current; from++) {
+        if (typeof migrations[from] !== 'function') {
+            cache.debug('migrate', undefined, `no migration from ${from}`);
+
+            return Promise.resolve(undefined);
+        }
+        steps.push(migrations[from]);
+    }
+
+    return Promise.reduce(steps, (result, step) => step(result), value);
+}
+
+/**
+ * Retrieve an item from the driver, migrated to the schema version of the cache
+ * 
+ * @param {Cache} cache 
+ * @param {String} key 
+ * @returns {Promise<any>}
+ */
+function retrieve(cache, key) {
+    return cache.driver
+        .get(key, cache.tagset)
+        .then(value => migrate(cache, value));
+}
+
+/**
+ * Compile a glob-style pattern, where `*` matches any characters, `?` one character,
+ * `[...]` or `[^...]` one character of a class and a backslash escapes the next character
+ * 
+ * @param {String} pattern 
+ * @returns {RegExp}
+ */
+function compile(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        const end = char === '[' ? pattern.indexOf(']', i + 2) : -1;
+        if (char === '\\' && i + 1 < pattern.length) {
+            i++;
+            source += pattern[i].replace(/[^\w]/, '\\$&');
+        } else if (char === '*') {
+            source += '[\\s\\S]*';
+        } else if (char === '?') {
+            source += '[\\s\\S]';
+        } else if (end > 0) {
+            const negated = pattern[i + 1] === '^';
+            const members = pattern
+                .slice(negated ? i + 2 : i + 1, end)
+                .replace(/[\\\]^]/g, '\\$&');
+            source += `[${negated ? '^' : ''}${members}]`;
+            i = end;
+        } else {
+            source += char.replace(/[^\w]/, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Emits 'hit', 'miss', 'write', 'forget', 'flush', 'error', 'expired' and 'evicted' with the method, key, tag names, driver name,
+ * duration in milliseconds and value size in bytes of the operation. Events of tagged caches bubble up to their parents
+ */
+module.exports = class Cache extends EventEmitter {
 
     /**
      * Creates an instance of Cache
      * 
-     * @param {{driver: Driver, ttl?: Number, tags?: Array<String>, debug?: Function}} [options] 
+     * @param {{driver: Driver, ttl?: Number, tags?: Array<String>, debug?: Function, stampede?: {lock?: Number, wait?: Number, interval?: Number}, schema?: {version: Number, migrations?: Object<Number, Function>}, flights?: Map, parent?: Cache, statistics?: Stats}} [options] 
      * @memberof Cache
      */
     constructor(options) {
+        super();
+        this.flights = (options && options.flights) || new Map();
+        this.parent = options && options.parent;
+        this.statistics = (options && options.statistics) || new Stats();
         if (options) {
             const { driver, ttl, tags } = options;
             if (driver && !(driver instanceof Driver)) {
@@ -30,6 +469,41 @@ module.exports = class Cache {
             if (options.debug) {
                 this.debugger = options.debug;
             }
+            if (options.stampede) {
+                this.stampede = options.stampede;
+            }
+            if (options.schema) {
+                const { version } = options.schema;
+                if (!Number.isInteger(version) || version < 1) {
+                    throw new Error('Schema version must be a positive integer');
+                }
+                this.schema = options.schema;
+            }
+            // the driver is shared with tagged caches, so only the root cache listens to it
+            if (driver && !this.parent) {
+                this.relays = {};
+                ['expired', 'evicted'].forEach(name => {
+                    this.relays[name] = event => {
+                        const payload = Object.assign(
+                            {
+                                method: name === 'expired' ? 'expire' : 'evict',
+                                driver: driver.constructor.name,
+                                duration: 0,
+                                size: 0
+                            },
+                            event
+                        );
+                        this.statistics.record(
+                            name,
+                            payload.method,
+                            payload.tags,
+                            payload.driver
+                        );
+                        notify(this, name, payload);
+                    };
+                    driver.on(name, this.relays[name]);
+                });
+            }
         }
     }
 
@@ -67,7 +541,13 @@ module.exports = class Cache {
 
         this.debug('get', key);
 
-        return this.driver.get(key, this.tagset).then(value => {
+        return observe(
+            this,
+            'get',
+            key,
+            () => retrieve(this, key),
+            value => (value ? 'hit' : 'miss')
+        ).then(value => {
             if (!value) {
                 this.debug('get', key, 'fallback');
 
@@ -82,6 +562,42 @@ module.exports = class Cache {
         });
     }
 
+    /**
+     * Retrieve items from the cache in one driver call.
+     * Every key is present in the result, keys which are missing from the cache are undefined
+     * 
+     * @param {Array<String>} keys 
+     * @returns {Promise<Object<String, any>>}
+     * @memberof Cache
+     */
+    many(keys) {
+        const result = {};
+        if (!this.driver || !keys.length) {
+            keys.forEach(key => (result[key] = undefined));
+
+            return Promise.resolve(result);
+        }
+
+        this.debug('many', keys.join());
+
+        return observe(
+            this,
+            'many',
+            keys,
+            () =>
+                this.driver
+                    .getMany(keys, this.tagset)
+                    .then(values => Promise.map(values, v => migrate(this, v))),
+            value => (value != null ? 'hit' : 'miss')
+        ).then(values => {
+            keys.forEach((key, index) => {
+                result[key] = values[index] != null ? values[index] : undefined;
+            });
+
+            return result;
+        });
+    }
+
     /**
      * Determine if an item exists in the cache
      * 
@@ -96,7 +612,9 @@ module.exports = class Cache {
 
         this.debug('has', key);
 
-        return this.driver.has(key, this.tagset);
+        return observe(this, 'has', key, () =>
+            this.driver.has(key, this.tagset)
+        );
     }
 
     /**
@@ -104,17 +622,24 @@ module.exports = class Cache {
      * 
      * @param {String} key 
      * @param {Number} [amount=1] 
+     * @param {Number} [ttl] seconds to keep the item if it is created by this call 
      * @returns {Promise<Number>}
      * @memberof Cache
      */
-    increment(key, amount = 1) {
+    increment(key, amount = 1, ttl) {
         if (!this.driver) {
             return Promise.resolve(amount);
         }
 
         this.debug('increment', key, amount);
 
-        return this.driver.increment(key, amount || 1, this.tagset);
+        return observe(
+            this,
+            'increment',
+            key,
+            () => this.driver.increment(key, amount || 1, this.tagset, ttl),
+            'write'
+        );
     }
 
     /**
@@ -122,17 +647,24 @@ module.exports = class Cache {
      * 
      * @param {String} key 
      * @param {Number} [amount=1] 
+     * @param {Number} [ttl] seconds to keep the item if it is created by this call 
      * @returns {Promise<Number>}
      * @memberof Cache
      */
-    decrement(key, amount) {
+    decrement(key, amount = 1, ttl) {
         if (!this.driver) {
             return Promise.resolve(-amount);
         }
 
         this.debug('decrement', key, amount);
 
-        return this.driver.decrement(key, amount || 1, this.tagset);
+        return observe(
+            this,
+            'decrement',
+            key,
+            () => this.driver.decrement(key, amount || 1, this.tagset, ttl),
+            'write'
+        );
     }
 
     /**
@@ -151,22 +683,90 @@ module.exports = class Cache {
 
         this.debug('remember', key);
 
-        return this.driver.get(key, this.tagset).then(value => {
+        return observe(
+            this,
+            'remember',
+            key,
+            () => retrieve(this, key),
+            value => (value ? 'hit' : 'miss')
+        ).then(value => {
             if (!value) {
-                this.debug('remember', key, 'callback');
+                // concurrent callers of the same key share one pending computation
+                return share(
+                    this,
+                    `remember:${this.tagset ? this.tagset.ref(key) : key}`,
+                    () =>
+                        this.stampede
+                            ? produceExclusively(this, key, func, ttl)
+                            : produce(this, key, func, ttl)
+                );
+            }
 
-                return Promise.resolve(func()).then(result => {
-                    if (result !== undefined) {
-                        return this.driver
-                            .put(key, result, ttl || this.ttl, this.tagset)
-                            .then(() => result);
-                    }
+            return value;
+        });
+    }
 
-                    return result;
-                });
+    /**
+     * Retrieve an item from the cache, serving it while stale and refreshing it in the background.
+     * Within the fresh window the cached value is returned. Within the stale window the cached value is returned and refreshed in the background.
+     * After that the func is resolved before returning
+     * 
+     * @param {String} key 
+     * @param {Array<Number>} ttl fresh and stale seconds
+     * @param {Function} func 
+     * @returns {Promise<any>}
+     * @memberof Cache
+     */
+    flexible(key, ttl, func) {
+        if (!this.driver) {
+            return Promise.try(func);
+        }
+
+        this.debug('flexible', key);
+
+        const id = `flexible:${this.tagset ? this.tagset.ref(key) : key}`;
+        const compute = () =>
+            share(this, id, () => refresh(this, key, ttl, func));
+
+        return observe(
+            this,
+            'flexible',
+            key,
+            () =>
+                this.driver.get(key, this.tagset).then(envelope =>
+                    isEnvelope(envelope)
+                        ? migrate(this, envelope.value).then(value =>
+                            value === undefined
+                                ? undefined
+                                : Object.assign({}, envelope, { value })
+                        )
+                        : envelope
+                ),
+            envelope =>
+                isEnvelope(envelope) &&
+                Date.now() - envelope.created < (ttl[0] + ttl[1]) * 1000
+                    ? 'hit'
+                    : 'miss'
+        ).then(envelope => {
+            if (isEnvelope(envelope)) {
+                const age = (Date.now() - envelope.created) / 1000;
+                if (age < ttl[0]) {
+                    return envelope.value;
+                }
+                if (age < ttl[0] + ttl[1]) {
+                    this.debug('flexible', key, 'stale');
+                    (this.stampede
+                        ? this.lock(id, this.stampede.lock || 10).get(compute)
+                        : compute()
+                    ).catch(err =>
+                        this.debug('flexible', key, `refresh failed: ${err}`)
+                    );
+
+                    return envelope.value;
+                }
             }
 
-            return value;
+            return compute();
         });
     }
 
@@ -183,33 +783,73 @@ module.exports = class Cache {
         }
         this.debug('pull', key);
 
-        return this.driver.get(key, this.tagset).then(value => {
-            return this.driver.forget(key, this.tagset).then(() => value);
+        return observe(
+            this,
+            'pull',
+            key,
+            () => retrieve(this, key),
+            value => (value ? 'hit' : 'miss')
+        ).then(value => {
+            return observe(
+                this,
+                'pull',
+                key,
+                () => this.driver.forget(key, this.tagset),
+                'forget'
+            ).then(() => value);
         });
     }
 
     /**
-     * Store an item in the cache
+     * Store an item in the cache, or an array of items with the ttl as the second argument
      * 
-     * @param {String} key 
+     * @param {String|Array<{key: String, value: any}>} key 
      * @param {any} value 
      * @param {Number} [ttl] 
      * @returns {Promise<void>}
      * @memberof Cache
      */
     put(key, value, ttl) {
+        if (Array.isArray(key)) {
+            // an array of items takes the ttl as the second argument
+            return store(this, key, value);
+        }
         if (!this.driver) {
             return Promise.resolve();
         }
 
-        if (Array.isArray(key)) {
-            this.debug('put', key.join());
-
-            return this.driver.putMany(key, value, this.tagset);
-        }
         this.debug('put', key);
 
-        return this.driver.put(key, value, ttl || this.ttl, this.tagset);
+        return observe(
+            this,
+            'put',
+            key,
+            () =>
+                this.driver.put(
+                    key,
+                    stamp(this, value),
+                    ttl || this.ttl,
+                    this.tagset
+                ),
+            'write',
+            value
+        );
+    }
+
+    /**
+     * Store items in the cache in one driver call
+     * 
+     * @param {Object<String, any>} values items by key 
+     * @param {Number} [ttl] 
+     * @returns {Promise<void>}
+     * @memberof Cache
+     */
+    putMany(values, ttl) {
+        return store(
+            this,
+            Object.keys(values).map(key => ({ key, value: values[key] })),
+            ttl
+        );
     }
 
     /**
@@ -229,16 +869,26 @@ module.exports = class Cache {
 
         this.debug('add', key);
 
-        this.driver.has(key, this.tagset).then(exists => {
-            if (!exists) {
-                return this.driver
-                    .put(key, value, ttl || this.ttl, this.tagset)
-                    .then(() => true);
+        // the driver checks and stores in one step, so that concurrent adds cannot both succeed
+        return observe(
+            this,
+            'add',
+            key,
+            () =>
+                this.driver.add(
+                    key,
+                    stamp(this, value),
+                    ttl || this.ttl,
+                    this.tagset
+                ),
+            added => (added ? 'write' : undefined),
+            value
+        ).then(added => {
+            if (!added) {
+                this.debug('add', key, 'exists');
             }
 
-            this.debug('add', key, 'exists');
-
-            return false;
+            return added;
         });
     }
 
@@ -258,7 +908,14 @@ module.exports = class Cache {
 
         this.debug('forever', key);
 
-        return this.driver.forever(key, value, this.tagset);
+        return observe(
+            this,
+            'forever',
+            key,
+            () => this.driver.forever(key, stamp(this, value), this.tagset),
+            'write',
+            value
+        );
     }
 
     /**
@@ -275,11 +932,40 @@ module.exports = class Cache {
 
         this.debug('forget', key);
 
-        return this.driver.forget(key, this.tagset);
+        return observe(
+            this,
+            'forget',
+            key,
+            () => this.driver.forget(key, this.tagset),
+            'forget'
+        );
     }
 
     /**
-     * Clear the entire cache 
+     * Remove items from the cache in one driver call
+     * 
+     * @param {Array<String>} keys 
+     * @returns {Promise<void>}
+     * @memberof Cache
+     */
+    forgetMany(keys) {
+        if (!this.driver || !keys.length) {
+            return Promise.resolve();
+        }
+
+        this.debug('forgetMany', keys.join());
+
+        return observe(
+            this,
+            'forgetMany',
+            keys,
+            () => this.driver.forgetMany(keys, this.tagset),
+            'forget'
+        );
+    }
+
+    /**
+     * Clear the items of the namespace, or the items of the tags
      * 
      * @returns {Promise<void>}
      * @memberof Cache
@@ -291,7 +977,88 @@ module.exports = class Cache {
 
         this.debug('flush');
 
-        return this.driver.flush(this.tagset);
+        return observe(
+            this,
+            'flush',
+            undefined,
+            () => this.driver.flush(this.tagset),
+            'flush'
+        );
+    }
+
+    /**
+     * Clear the entire backend regardless of namespaces and tags,
+     * which removes the items of every other application sharing it
+     * 
+     * @returns {Promise<void>}
+     * @memberof Cache
+     */
+    flushAll() {
+        if (!this.driver) {
+            return Promise.resolve();
+        }
+
+        this.debug('flushAll');
+
+        return observe(
+            this,
+            'flushAll',
+            undefined,
+            () => this.driver.flushAll(),
+            'flush'
+        );
+    }
+
+    /**
+     * Iterate over the stored keys, optionally matching a glob-style pattern.
+     * Tagged caches iterate over the keys of the items of their tags, other caches over every key the driver stores,
+     * which includes reference keys of tagged items and keys of tag sets. Keys are yielded once,
+     * so the keys seen are kept until the iteration ends
+     * 
+     * @param {String} [pattern] 
+     * @returns {AsyncIterator<String>}
+     * @memberof Cache
+     */
+    keys(pattern) {
+        const regexp = pattern ? compile(pattern) : undefined;
+        const seen = new Set();
+        const pending = [];
+        let cursor;
+        let finished = !this.driver;
+        const next = () => {
+            if (pending.length) {
+                return Promise.resolve({ value: pending.shift(), done: false });
+            }
+            if (finished) {
+                return Promise.resolve({ value: undefined, done: true });
+            }
+
+            return Promise.try(() =>
+                this.driver.scan(cursor, pattern, this.tagset)
+            ).then(page => {
+                cursor = page.cursor;
+                finished = cursor === undefined;
+                page.keys.forEach(key => {
+                    if (
+                        key !== undefined &&
+                        !seen.has(key) &&
+                        (!regexp || regexp.test(key))
+                    ) {
+                        seen.add(key);
+                        pending.push(key);
+                    }
+                });
+
+                return next();
+            });
+        };
+
+        return {
+            next,
+            [Symbol.asyncIterator]() {
+                return this;
+            }
+        };
     }
 
     /**
@@ -306,10 +1073,39 @@ module.exports = class Cache {
             driver: this.driver,
             ttl: this.ttl,
             tags,
-            debug: this.debugger
+            debug: this.debugger,
+            stampede: this.stampede,
+            schema: this.schema,
+            flights: this.flights,
+            parent: this,
+            statistics: this.statistics
         });
     }
 
+    /**
+     * Get the hits, misses, writes, evictions and errors per operation and per tag, along with the latency of driver calls.
+     * Tagged caches share the statistics of the cache they are created from
+     * 
+     * @returns {Object}
+     * @memberof Cache
+     */
+    stats() {
+        return this.statistics.snapshot();
+    }
+
+    /**
+     * Get a lock instance held in the driver
+     * 
+     * @param {String} name 
+     * @param {Number} seconds 
+     * @param {String} [owner] 
+     * @returns {Lock}
+     * @memberof Cache
+     */
+    lock(name, seconds, owner) {
+        return new Lock(this.driver, name, seconds, owner);
+    }
+
     /**
      * Dispose driver connections
      * 
@@ -321,6 +1117,12 @@ module.exports = class Cache {
             return Promise.resolve();
         }
 
+        if (this.relays) {
+            Object.keys(this.relays).forEach(name =>
+                this.driver.removeListener(name, this.relays[name])
+            );
+        }
+
         return this.driver.dispose().then(() => delete this.driver);
     }
 
@@ -1,8 +1,13 @@
 /*eslint no-unused-vars: off */
+const EventEmitter = require('events');
+const Promise = require('bluebird');
 const TagSet = require('./tagset');
 const Serializer = require('./serializer');
 
-module.exports = class Driver {
+/**
+ * Drivers which expire or evict entries by themselves emit 'expired' or 'evicted' with the key and tag names of the entry
+ */
+module.exports = class Driver extends EventEmitter {
 
     /**
      * Creates an instance of Driver
@@ -10,6 +15,7 @@ module.exports = class Driver {
      * @param {{namespace?: String, serializer?: Serializer}} [options] 
      */
     constructor(options) {
+        super();
         this.namespace = options && options.namespace;
         this.serializer = options && options.serializer;
     }
@@ -78,16 +84,32 @@ module.exports = class Driver {
         throw new Error('NOT IMPLEMENTED');
     }
 
+    /**
+     * Store an item unless it exists, as one atomic step.
+     * Without a ttl the item is stored permanently
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>} whether the item has been stored
+     * @memberof Driver
+     */
+    add(key, value, ttl, tagset) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
     /**
      * Increase the value of an integer item
      * 
      * @param {String} key 
      * @param {Number} [amount] 
      * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
      * @returns {Promise<Number>}
      * @memberof Driver
      */
-    increment(key, amount, tagset) {
+    increment(key, amount, tagset, ttl) {
         throw new Error('NOT IMPLEMENTED');
     }
 
@@ -97,10 +119,11 @@ module.exports = class Driver {
      * @param {String} key 
      * @param {Number} [amount] 
      * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
      * @returns {Promise<Number>}
      * @memberof Driver
      */
-    decrement(key, amount, tagset) {
+    decrement(key, amount, tagset, ttl) {
         throw new Error('NOT IMPLEMENTED');
     }
 
@@ -131,7 +154,19 @@ module.exports = class Driver {
     }
 
     /**
-     * Clear the entire cache 
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof Driver
+     */
+    forgetMany(keys, tagset) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
+    /**
+     * Clear the items of the namespace
      * 
      * @param {TagSet} [tagset] 
      * @returns {Promise<void>}
@@ -141,6 +176,16 @@ module.exports = class Driver {
         throw new Error('NOT IMPLEMENTED');
     }
 
+    /**
+     * Clear the entire backend, including the items of other namespaces
+     * 
+     * @returns {Promise<void>}
+     * @memberof Driver
+     */
+    flushAll() {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
     /**
      * Determine if an item exists in the cache
      * 
@@ -153,6 +198,57 @@ module.exports = class Driver {
         throw new Error('NOT IMPLEMENTED');
     }
 
+    /**
+     * Retrieve a page of stored keys.
+     * Without a tagset keys are named as they are stored, with a tagset the keys of the items of its tags are retrieved.
+     * Backends may apply the glob-style pattern, the keys still have to be matched by the caller
+     * 
+     * @param {any} [cursor] undefined for the first page 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: any, keys: Array<String>}>} the cursor is undefined after the last page
+     * @memberof Driver
+     */
+    scan(cursor, pattern, tagset) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof Driver
+     */
+    acquire(name, owner, seconds) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof Driver
+     */
+    release(name, owner) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof Driver
+     */
+    forceRelease(name) {
+        throw new Error('NOT IMPLEMENTED');
+    }
+
     /**
      * Serialize a value
      * 
@@ -179,6 +275,69 @@ module.exports = class Driver {
             : value;
     }
 
+    /**
+     * Deserialize a stored value.
+     * If the serializer finds the value outdated, it is rewritten in the current format in the background
+     * 
+     * @param {String} key stored key
+     * @param {any} value stored value
+     * @returns {any}
+     * @memberof Driver
+     */
+    decode(key, value) {
+        const result = this.deserialize(value);
+        if (
+            result != null &&
+            this.serializer instanceof Serializer &&
+            this.serializer.rewrites &&
+            this.serializer.outdated(value)
+        ) {
+            // a failed rewrite is tried again on the next read
+            Promise.try(() =>
+                this.rewrite(key, value, this.serialize(result))
+            ).catch(() => {});
+        }
+
+        return result;
+    }
+
+    /**
+     * Replace a stored value unless it has been changed meanwhile, keeping its expiry.
+     * Drivers which cannot keep the expiry leave the value as it is
+     * 
+     * @param {String} key stored key
+     * @param {any} previous 
+     * @param {any} next 
+     * @returns {Promise<Boolean>}
+     * @memberof Driver
+     */
+    rewrite(key, previous, next) {
+        return Promise.resolve(false);
+    }
+
+    /**
+     * Determine if serialized values can be Buffers which must be read back as Buffers
+     * 
+     * @readonly
+     * @memberof Driver
+     */
+    get binary() {
+        return this.serializer instanceof Serializer && this.serializer.binary;
+    }
+
+    /**
+     * Determine if serialized integers are plain decimal strings,
+     * in which case counters can be updated in place by the backend
+     * 
+     * @readonly
+     * @memberof Driver
+     */
+    get numeric() {
+        const value = this.serialize(1);
+
+        return value === 1 || value === '1';
+    }
+
     /**
      * Dispose connection
      * 
@@ -0,0 +1,791 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const Driver = require('../driver');
+const TagSet = require('../tagset');
+
+/**
+ * Read a record file
+ * 
+ * @param {String} file 
+ * @returns {Promise<{key: String, value: any, expires: Number}>}
+ */
+function read(file) {
+    return Promise.fromCallback(cb => fs.readFile(file, 'utf8', cb))
+        .then(content => JSON.parse(content))
+        .then(record => {
+            if (record && record.encoding === 'base64') {
+                record.value = Buffer.from(record.value, 'base64');
+                delete record.encoding;
+            }
+
+            return record;
+        })
+        .catch(err => {
+            if (err.code === 'ENOENT' || err instanceof SyntaxError) {
+                return undefined;
+            }
+            throw err;
+        });
+}
+
+/**
+ * Write a record file atomically
+ * 
+ * @param {String} file 
+ * @param {{key: String, value: any, expires: Number}} record 
+ * @returns {Promise<void>}
+ */
+function write(file, record) {
+    const temp = `${file}.${process.pid}.${crypto
+        .randomBytes(4)
+        .toString('hex')}`;
+
+    // binary values are kept in base64
+    if (Buffer.isBuffer(record.value)) {
+        record = Object.assign({}, record, {
+            value: record.value.toString('base64'),
+            encoding: 'base64'
+        });
+    }
+
+    return Promise.fromCallback(cb =>
+        fs.writeFile(temp, JSON.stringify(record), cb)
+    ).then(() => Promise.fromCallback(cb => fs.rename(temp, file, cb)));
+}
+
+/**
+ * Get the file name of a key
+ * 
+ * @param {String} key 
+ * @returns {String}
+ */
+function digest(key) {
+    return crypto
+        .createHash('sha1')
+        .update(key)
+        .digest('hex');
+}
+
+/**
+ * Remove a record file
+ * 
+ * @param {String} file 
+ * @returns {Promise<void>}
+ */
+function remove(file) {
+    return Promise.fromCallback(cb => fs.unlink(file, cb)).catch(err => {
+        if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    });
+}
+
+/**
+ * Create a record file unless an unexpired one exists.
+ * Records are written completely before they are linked into place, which fails if the file exists,
+ * and an expired record is only removed if it is still the one found expired
+ * 
+ * @param {String} file 
+ * @param {{key: String, value: any, expires: Number}} record 
+ * @returns {Promise<Boolean>}
+ */
+function claim(file, record) {
+    const create = () => {
+        const temp = `${file}.${process.pid}.${crypto
+            .randomBytes(4)
+            .toString('hex')}`;
+
+        return write(temp, record)
+            .then(() => Promise.fromCallback(cb => fs.link(temp, file, cb)))
+            .then(
+                () => true,
+                err => {
+                    if (err.code === 'EEXIST') {
+                        return false;
+                    }
+                    throw err;
+                }
+            )
+            .finally(() => remove(temp));
+    };
+
+    return create().then(
+        created =>
+            created ||
+            read(file).then(found => {
+                if (found && !(found.expires && found.expires <= Date.now())) {
+                    return false;
+                }
+
+                return read(file).then(current => {
+                    // another process has replaced the expired record meanwhile
+                    if (current && JSON.stringify(current) !== JSON.stringify(found)) {
+                        return false;
+                    }
+
+                    return remove(file).then(create);
+                });
+            })
+    );
+}
+
+/**
+ * Remove the record files of a directory, and those of its subdirectories if deep
+ * 
+ * @param {String} dir 
+ * @param {Boolean} [deep] 
+ * @returns {Promise<void>}
+ */
+function clear(dir, deep) {
+    return Promise.fromCallback(cb => fs.readdir(dir, cb))
+        .map(name => {
+            const file = path.join(dir, name);
+
+            return Promise.fromCallback(cb => fs.stat(file, cb)).then(stats => {
+                if (stats.isFile()) {
+                    return remove(file);
+                }
+                if (deep && stats.isDirectory()) {
+                    return clear(file, deep);
+                }
+            });
+        })
+        .then(() => undefined);
+}
+
+/**
+ * Milliseconds a process may hold the lock of an update before other processes take it over
+ */
+const LEASE = 10000;
+
+/**
+ * Milliseconds to wait before trying a held update lock again
+ */
+const RETRY = 10;
+
+/**
+ * Get the members of a tag index by their expiry times, 0 for members without expiry.
+ * Indexes stored as arrays by earlier versions hold members of unknown expiry, which are kept
+ * 
+ * @param {any} value 
+ * @returns {Object<String, Number>}
+ */
+function membersOf(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((members, ref) => {
+            members[ref] = 0;
+
+            return members;
+        }, {});
+    }
+
+    return value && typeof value === 'object' ? Object.assign({}, value) : {};
+}
+
+module.exports = class FileDriver extends Driver {
+
+    /**
+     * Creates an instance of FileDriver
+     * 
+     * @param {{namespace?: String, serializer?: Serializer, driver: {path?: String}}} [options] 
+     */
+    constructor(options) {
+        super(options);
+        const dir =
+            (options && options.driver && options.driver.path) ||
+            path.join(os.tmpdir(), 'tagemup');
+        this.root = dir;
+        this.path = this.namespace ? path.join(dir, this.namespace) : dir;
+        // locks are kept in a directory of their own, out of reach of flush
+        this.locks = path.join(this.path, '.locks');
+        this.queue = new Map();
+        fs.mkdirSync(this.locks, { recursive: true });
+    }
+
+    /**
+     * Get the file path of a key
+     * 
+     * @param {String} key 
+     * @returns {String}
+     * @memberof FileDriver
+     */
+    file(key) {
+        return path.join(this.path, digest(key));
+    }
+
+    /**
+     * Get the file path of a lock
+     * 
+     * @param {String} name 
+     * @returns {String}
+     * @memberof FileDriver
+     */
+    lock(name) {
+        return path.join(this.locks, digest(name));
+    }
+
+    /**
+     * Run a task once all pending tasks on the same file are settled
+     * 
+     * @param {String} file 
+     * @param {Function} task 
+     * @returns {Promise<any>}
+     * @memberof FileDriver
+     */
+    synchronize(file, task) {
+        const pending = this.queue.get(file) || Promise.resolve();
+        const next = pending.catch(() => {}).then(task);
+        const settled = next.catch(() => {});
+        this.queue.set(file, settled);
+        settled.then(() => {
+            if (this.queue.get(file) === settled) {
+                this.queue.delete(file);
+            }
+        });
+
+        return next;
+    }
+
+    /**
+     * Run a read-modify-write of a record once every other update of it is done, in this process or any other.
+     * Other processes are kept out by a lock record in the locks directory, which is taken over once its lease
+     * has expired, so that the lock of a crashed process is not held forever
+     * 
+     * @param {String} key 
+     * @param {Function} task 
+     * @returns {Promise<any>}
+     * @memberof FileDriver
+     */
+    update(key, task) {
+        const lock = path.join(this.locks, `${digest(key)}.update`);
+        const owner = `${process.pid}:${crypto.randomBytes(8).toString('hex')}`;
+        const acquire = () =>
+            claim(lock, {
+                key: `update:${key}`,
+                value: owner,
+                expires: Date.now() + LEASE
+            }).then(
+                claimed => claimed || Promise.delay(RETRY).then(acquire)
+            );
+        const release = () =>
+            read(lock).then(
+                record => record && record.value === owner && remove(lock)
+            );
+
+        return this.synchronize(this.file(key), () =>
+            acquire().then(() => Promise.try(task).finally(release))
+        );
+    }
+
+    /**
+     * Load an unexpired record.
+     * An expired record is removed once the pending tasks on its file are settled, if it has not been replaced meanwhile
+     * 
+     * @param {String} key 
+     * @param {Boolean} [held] the caller runs inside of synchronize for the file 
+     * @returns {Promise<{key: String, value: any, expires: Number}>}
+     * @memberof FileDriver
+     */
+    load(key, held) {
+        const file = this.file(key);
+        const expired = record =>
+            record && record.expires && record.expires <= Date.now();
+        const discard = () =>
+            read(file).then(record => {
+                if (!expired(record)) {
+                    return;
+                }
+
+                return remove(file).then(() => {
+                    this.emit('expired', { key: record.key, tags: [] });
+                });
+            });
+
+        return read(file).then(record => {
+            if (expired(record)) {
+                const removal = held
+                    ? discard()
+                    : this.synchronize(file, discard);
+
+                return removal.then(() => undefined);
+            }
+
+            return record;
+        });
+    }
+
+    /**
+     * Store a record
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [expires] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    store(key, value, expires) {
+        return write(this.file(key), { key, value, expires: expires || 0 });
+    }
+
+    /**
+     * Add or remove a reference in the index files of a tagset.
+     * Every index keeps the expiry times of its members, members past their expiry are dropped on the way
+     * 
+     * @param {TagSet} tagset 
+     * @param {String} ref 
+     * @param {Boolean} [detach] 
+     * @param {Number} [expires] expiry time of the referenced record, 0 for records without expiry 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    index(tagset, ref, detach, expires) {
+        return Promise.map(tagset.keys, key =>
+            this.update(key, () =>
+                this.load(key, true).then(record => {
+                    const members = membersOf(record && record.value);
+                    const time = Date.now();
+                    Object.keys(members).forEach(member => {
+                        if (members[member] && members[member] <= time) {
+                            delete members[member];
+                        }
+                    });
+                    if (detach) {
+                        delete members[ref];
+                    } else if (members[ref] !== 0) {
+                        // a longer expiry is kept, in case the record is not replaced
+                        members[ref] = expires
+                            ? Math.max(members[ref] || 0, expires)
+                            : 0;
+                    }
+                    if (!Object.keys(members).length) {
+                        return remove(this.file(key));
+                    }
+
+                    return this.store(key, members);
+                })
+            )
+        );
+    }
+
+    /**
+     * Add an amount to an integer item, keeping its expiry
+     * 
+     * @param {String} key 
+     * @param {Number} amount 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @param {String} verb 
+     * @returns {Promise<Number>}
+     * @memberof FileDriver
+     */
+    adjust(key, amount, tagset, ttl, verb) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.update(key, () =>
+            this.load(key, true).then(record => {
+                let value = record ? this.deserialize(record.value) : 0;
+                if (typeof value !== 'number') {
+                    throw new Error(`cannot ${verb} a non-number value`);
+                }
+                value += amount;
+                let expires = record && record.expires;
+                if (!record && ttl) {
+                    expires = Date.now() + ttl * 1000;
+                }
+
+                return this.store(key, this.serialize(value), expires).then(
+                    () => ({ value, expires })
+                );
+            })
+        ).then(({ value, expires }) =>
+            // attached once the expiry of the counter is known,
+            // the index is not updated while the counter is locked
+            tagset instanceof TagSet
+                ? this.index(tagset, key, false, expires).then(() => value)
+                : value
+        );
+    }
+
+    /**
+     * Retrieve an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<any>}
+     * @memberof FileDriver
+     */
+    get(key, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.load(key).then(
+            record => record && this.decode(key, record.value)
+        );
+    }
+
+    /**
+     * Retrieve items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Array<any>>}
+     * @memberof FileDriver
+     */
+    getMany(keys, tagset) {
+        return Promise.map(keys, key => this.get(key, tagset));
+    }
+
+    /**
+     * Replace a stored value unless it has been changed meanwhile, keeping its expiry
+     * 
+     * @param {String} key 
+     * @param {any} previous 
+     * @param {any} next 
+     * @returns {Promise<Boolean>}
+     * @memberof FileDriver
+     */
+    rewrite(key, previous, next) {
+        const file = this.file(key);
+
+        return this.synchronize(file, () =>
+            read(file).then(record => {
+                const same =
+                    record &&
+                    (Buffer.isBuffer(previous) && Buffer.isBuffer(record.value)
+                        ? previous.equals(record.value)
+                        : record.value === previous);
+                if (!same) {
+                    return false;
+                }
+
+                return write(
+                    file,
+                    Object.assign({}, record, { value: next })
+                ).then(() => true);
+            })
+        );
+    }
+
+    /**
+     * Store an item in the cache
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    put(key, value, ttl, tagset) {
+        const expires = ttl ? Date.now() + ttl * 1000 : 0;
+
+        return Promise.try(() => {
+            if (tagset instanceof TagSet) {
+                key = tagset.ref(key);
+
+                return this.index(tagset, key, false, expires);
+            }
+        }).then(() =>
+            this.synchronize(this.file(key), () =>
+                this.store(key, this.serialize(value), expires)
+            )
+        );
+    }
+
+    /**
+     * Store an item unless it exists
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof FileDriver
+     */
+    add(key, value, ttl, tagset) {
+        const expires = ttl ? Date.now() + ttl * 1000 : 0;
+
+        return Promise.try(() => {
+            if (tagset instanceof TagSet) {
+                key = tagset.ref(key);
+
+                return this.index(tagset, key, false, expires);
+            }
+        }).then(() =>
+            this.synchronize(this.file(key), () =>
+                claim(this.file(key), {
+                    key,
+                    value: this.serialize(value),
+                    expires
+                })
+            )
+        );
+    }
+
+    /**
+     * Store items in the cache
+     * 
+     * @param {Array<{key:String, value:any}>} array 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    putMany(array, ttl, tagset) {
+        return Promise.map(array, item =>
+            this.put(item.key, item.value, ttl, tagset)
+        );
+    }
+
+    /**
+     * Increase the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof FileDriver
+     */
+    increment(key, amount, tagset, ttl) {
+        return this.adjust(key, amount, tagset, ttl, 'increase');
+    }
+
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof FileDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.adjust(key, -amount, tagset, ttl, 'decrease');
+    }
+
+    /**
+     * Store an item in the cache permanently.
+     * It must be manually removed from the cache using the 'forget' method
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    forever(key, value, tagset) {
+        return this.put(key, value, 0, tagset);
+    }
+
+    /**
+     *  Remove an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    forget(key, tagset) {
+        return Promise.try(() => {
+            if (tagset instanceof TagSet) {
+                key = tagset.ref(key);
+
+                return this.index(tagset, key, true);
+            }
+        }).then(() =>
+            this.synchronize(this.file(key), () => remove(this.file(key)))
+        );
+    }
+
+    /**
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    forgetMany(keys, tagset) {
+        return Promise.map(keys, key => this.forget(key, tagset)).then(
+            () => undefined
+        );
+    }
+
+    /**
+     * Clear the directory of the namespace, keeping its locks
+     * 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    flush(tagset) {
+        if (tagset instanceof TagSet) {
+            return Promise.map(tagset.keys, key =>
+                this.update(key, () =>
+                    this.load(key, true).then(record =>
+                        Promise.map(
+                            Object.keys(membersOf(record && record.value)),
+                            ref =>
+                                this.synchronize(this.file(ref), () =>
+                                    remove(this.file(ref))
+                                )
+                        ).then(() => remove(this.file(key)))
+                    )
+                )
+            ).then(() => undefined);
+        }
+
+        return clear(this.path);
+    }
+
+    /**
+     * Clear the cache directory, including the directories of every namespace
+     * 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    flushAll() {
+        return clear(this.root, true);
+    }
+
+    /**
+     * Determine if an item exists in the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof FileDriver
+     */
+    has(key, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.load(key).then(record => record !== undefined);
+    }
+
+    /**
+     * Retrieve the stored keys in one page, every record of the namespace is read to find its key
+     * 
+     * @param {any} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: any, keys: Array<String>}>}
+     * @memberof FileDriver
+     */
+    scan(cursor, pattern, tagset) {
+        const records =
+            tagset instanceof TagSet
+                ? Promise.map(tagset.keys, key => this.load(key))
+                    .then(indexes => {
+                        const refs = new Set();
+                        indexes.forEach(
+                            record =>
+                                record &&
+                                Object.keys(membersOf(record.value)).forEach(
+                                    ref => refs.add(ref)
+                                )
+                        );
+
+                        return Array.from(refs);
+                    })
+                    .map(ref => this.load(ref))
+                : Promise.fromCallback(cb => fs.readdir(this.path, cb))
+                    // temporary files of pending writes carry a suffix
+                    .filter(name => !name.includes('.'))
+                    .map(name => read(path.join(this.path, name)))
+                    .filter(
+                        record =>
+                            record &&
+                            !(record.expires && record.expires <= Date.now())
+                    );
+
+        return records.then(records => ({
+            cursor: undefined,
+            keys: records
+                .filter(record => record)
+                .map(record =>
+                    tagset instanceof TagSet
+                        ? TagSet.key(record.key)
+                        : record.key
+                )
+        }));
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof FileDriver
+     */
+    acquire(name, owner, seconds) {
+        const file = this.lock(name);
+
+        return this.synchronize(file, () =>
+            claim(file, {
+                key: `lock:${name}`,
+                value: owner,
+                expires: Date.now() + seconds * 1000
+            })
+        );
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof FileDriver
+     */
+    release(name, owner) {
+        const file = this.lock(name);
+
+        return this.synchronize(file, () =>
+            read(file).then(lock => {
+                if (!lock || lock.value !== owner || lock.expires <= Date.now()) {
+                    return false;
+                }
+
+                return remove(file).then(() => true);
+            })
+        );
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    forceRelease(name) {
+        const file = this.lock(name);
+
+        return this.synchronize(file, () => remove(file));
+    }
+
+    /**
+     * Dispose allocation
+     * 
+     * @returns {Promise<void>}
+     * @memberof FileDriver
+     */
+    dispose() {
+        return Promise.all(Array.from(this.queue.values())).then(() => {
+            this.queue.clear();
+        });
+    }
+
+};
@@ -1,13 +1,280 @@
+const crypto = require('crypto');
 const Promise = require('bluebird');
 const Memcached = require('memcached');
 const Driver = require('../driver');
 const TagSet = require('../tagset');
 
+/**
+ * Attempts of a tag index update before giving up on concurrent writers
+ */
+const RETRIES = 16;
+
+/**
+ * Milliseconds for which a process reuses the version of the namespace before reading it again
+ */
+const REFRESH = 1000;
+
+/**
+ * Longest relative lifetime, memcached reads larger lifetimes as unix timestamps
+ */
+const MONTH = 30 * 24 * 3600;
+
+// property holding the number of a counter stored with its expiry time
+const COUNTER = '\u0000counter';
+
+/**
+ * Get the current unix time in seconds
+ * 
+ * @returns {Number}
+ */
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Get the expiry time of an item stored for a lifetime, 0 for items without expiry
+ * 
+ * @param {Number} [ttl] seconds, or a unix time past 30 days like memcached takes it 
+ * @returns {Number}
+ */
+function expiryOf(ttl) {
+    if (!ttl) {
+        return 0;
+    }
+
+    return ttl > MONTH ? ttl : now() + ttl;
+}
+
+/**
+ * Wrap a number with its expiry time, so that a counter swapped with cas can keep its lifetime.
+ * Serializers storing numbers as plain integers need no wrapping, incr/decr keep the lifetime
+ * 
+ * @param {MemcachedDriver} driver 
+ * @param {any} value 
+ * @param {Number} [ttl] 
+ * @returns {any}
+ */
+function wrap(driver, value, ttl) {
+    if (typeof value !== 'number' || driver.numeric) {
+        return value;
+    }
+
+    return { [COUNTER]: value, expires: expiryOf(ttl) };
+}
+
+/**
+ * Get the number of a counter wrapped with its expiry time, other values as they are
+ * 
+ * @param {any} value 
+ * @returns {any}
+ */
+function unwrap(value) {
+    return value &&
+        typeof value === 'object' &&
+        Object.prototype.hasOwnProperty.call(value, COUNTER)
+        ? value[COUNTER]
+        : value;
+}
+
+/**
+ * Get the members of a stored tag index by their expiry times, 0 for members without expiry.
+ * Indexes stored as arrays by earlier versions hold members of unknown expiry, which are kept
+ * 
+ * @param {any} value 
+ * @returns {Object<String, Number>}
+ */
+function membersOf(value) {
+    if (Array.isArray(value)) {
+        return value.reduce((members, ref) => {
+            members[ref] = 0;
+
+            return members;
+        }, {});
+    }
+
+    return value && typeof value === 'object' ? Object.assign({}, value) : {};
+}
+
+/**
+ * Get the lifetime of a tag index, which lasts as long as its longest living member.
+ * Empty indexes are left to expire shortly, deleting them could drop a member added in the meantime
+ * 
+ * @param {Object<String, Number>} members 
+ * @returns {Number}
+ */
+function lifetimeOf(members) {
+    const expiries = Object.keys(members).map(ref => members[ref]);
+    if (!expiries.length) {
+        return 1;
+    }
+    if (expiries.includes(0)) {
+        return 0;
+    }
+    const expires = Math.max(...expiries);
+
+    return expires - now() > MONTH ? expires : Math.max(expires - now(), 1);
+}
+
+/**
+ * Change the members of a tag index with gets/cas, retrying when it is changed concurrently.
+ * Members past their expiry are dropped on the way
+ * 
+ * @param {MemcachedDriver} driver 
+ * @param {String} key tag key 
+ * @param {Function} change receives the members and returns the new members 
+ * @param {Number} [attempt] 
+ * @returns {Promise<Object<String, Number>>} the previous members
+ */
+function update(driver, key, change, attempt) {
+    attempt = attempt || 0;
+
+    return new Promise((resolve, reject) => {
+        driver.memcached.gets(key, (err, data) => {
+            if (err) {
+                return reject(err);
+            }
+            const previous = data
+                ? membersOf(driver.deserialize(data[key]))
+                : {};
+            const members = change(Object.assign({}, previous));
+            const time = now();
+            Object.keys(members).forEach(ref => {
+                if (members[ref] && members[ref] <= time) {
+                    delete members[ref];
+                }
+            });
+            const done = (err, stored) => {
+                if (err && !err.notStored) {
+                    return reject(err);
+                }
+                if (stored && !err) {
+                    return resolve(previous);
+                }
+                if (attempt + 1 >= RETRIES) {
+                    return reject(
+                        new Error(`the tag index ${key} is changed too often`)
+                    );
+                }
+                resolve(update(driver, key, change, attempt + 1));
+            };
+            if (data) {
+                driver.memcached.cas(
+                    key,
+                    driver.serialize(members),
+                    data.cas,
+                    lifetimeOf(members),
+                    done
+                );
+            } else {
+                driver.memcached.add(
+                    key,
+                    driver.serialize(members),
+                    lifetimeOf(members),
+                    done
+                );
+            }
+        });
+    });
+}
+
+/**
+ * Get the current version of the namespace, which is part of every stored key so that a flush only has to replace it.
+ * The version is reused for a moment and read again afterwards, so that flushes of other processes are seen late.
+ * A missing version is created, so that an evicted version flushes the namespace instead of bringing flushed items back
+ * 
+ * @param {MemcachedDriver} driver 
+ * @returns {Promise<String>}
+ */
+function generation(driver) {
+    if (driver.version && driver.version.expires > Date.now()) {
+        return driver.version.promise;
+    }
+    const version = {
+        promise: fetch(driver),
+        expires: Date.now() + REFRESH
+    };
+    driver.version = version;
+    version.promise.catch(() => {
+        if (driver.version === version) {
+            delete driver.version;
+        }
+    });
+
+    return version.promise;
+}
+
+/**
+ * Read the current version of the namespace, creating it if missing
+ * 
+ * @param {MemcachedDriver} driver 
+ * @returns {Promise<String>}
+ */
+function fetch(driver) {
+    const key = driver.scope('version');
+
+    return new Promise((resolve, reject) => {
+        driver.memcached.get(key, (err, value) => {
+            if (err) {
+                return reject(err);
+            }
+            if (value) {
+                return resolve(String(value));
+            }
+            const created = crypto.randomBytes(4).toString('hex');
+            driver.memcached.add(key, created, 0, err => {
+                if (err) {
+                    return err.notStored
+                        ? resolve(fetch(driver))
+                        : reject(err);
+                }
+                resolve(created);
+            });
+        });
+    });
+}
+
+/**
+ * Get the stored keys of items in the current version of the namespace
+ * 
+ * @param {MemcachedDriver} driver 
+ * @param {Array<String>} keys 
+ * @returns {Promise<Array<String>>}
+ */
+function scoped(driver, keys) {
+    return generation(driver).then(version =>
+        keys.map(key => driver.scope(version, key))
+    );
+}
+
+/**
+ * Delete stored keys
+ * 
+ * @param {MemcachedDriver} driver 
+ * @param {Array<String>} keys stored keys 
+ * @returns {Promise<void>}
+ */
+function remove(driver, keys) {
+    return Promise.map(
+        keys,
+        key =>
+            new Promise((resolve, reject) => {
+                driver.memcached.del(key, err => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve();
+                });
+            })
+    ).then(() => undefined);
+}
+
 module.exports = class MemcachedDriver extends Driver {
 
     /**
      * Creates an instance of MemcachedDriver
      * 
+     * Keys are stored under the current version of the namespace, except for locks
+     * 
      * @param {{namespace?: String, serializer?: Serializer, driver: { location: String|Array<String>|Object }}} [options] 
      */
     constructor(options) {
@@ -27,44 +294,58 @@ module.exports = class MemcachedDriver extends Driver {
      * @memberof MemcachedDriver
      */
     get(key, tagset) {
-        return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            this.memcached.get(key, (err, value) => {
-                if (err) {
-                    return reject(err);
-                }
-                resolve(this.deserialize(value));
-            });
-        });
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return scoped(this, [key]).then(
+            ([key]) =>
+                new Promise((resolve, reject) => {
+                    this.memcached.get(key, (err, value) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve(unwrap(this.decode(key, value)));
+                    });
+                })
+        );
     }
 
     /**
      * Retrieve items from the cache
      * 
-     * @param {Array<String>} keys
+     * @param {Array<String>} keys 
      * @param {TagSet} [tagset] 
      * @returns {Promise<Array<any>>}
      * @memberof MemcachedDriver
      */
     getMany(keys, tagset) {
-        return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                keys = keys.map(key => tagset.ref(key));
-            }
-            this.memcached.getMulti(keys, (err, values) => {
-                if (err) {
-                    return reject(err);
-                }
-                resolve(
-                    values &&
-                        Object.keys(values).map(key =>
-                            this.deserialize(values[key])
-                        )
-                );
-            });
-        });
+        if (tagset instanceof TagSet) {
+            keys = keys.map(key => tagset.ref(key));
+        }
+
+        return scoped(this, keys).then(
+            keys =>
+                new Promise((resolve, reject) => {
+                    this.memcached.getMulti(keys, (err, values) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        // the reply only holds the keys found, in no particular order
+                        resolve(
+                            keys.map(key =>
+                                values &&
+                                Object.prototype.hasOwnProperty.call(
+                                    values,
+                                    key
+                                )
+                                    ? unwrap(this.decode(key, values[key]))
+                                    : undefined
+                            )
+                        );
+                    });
+                })
+        );
     }
 
     /**
@@ -78,40 +359,72 @@ module.exports = class MemcachedDriver extends Driver {
      * @memberof MemcachedDriver
      */
     put(key, value, ttl, tagset) {
-        return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                const ref = tagset.ref(key);
-                this.getMany(tagset.keys)
-                    .then(values => {
-                        return Promise.map(values, (value, index) => {
-                            if (Array.isArray(value)) {
-                                const set = new Set(value);
-                                set.add(ref);
-
-                                return this.put(
-                                    tagset.keys[index],
-                                    Array.from(set),
-                                    ttl
-                                );
+        if (tagset instanceof TagSet) {
+            const ref = tagset.ref(key);
+
+            // attached afterwards, so that a concurrent flush cannot leave the entry out of the index
+            return this.put(ref, value, ttl).then(() =>
+                this.attach(tagset, [ref], ttl)
+            );
+        }
+
+        return scoped(this, [key]).then(
+            ([key]) =>
+                new Promise((resolve, reject) => {
+                    this.memcached.set(
+                        key,
+                        this.serialize(wrap(this, value, ttl)),
+                        ttl,
+                        err => {
+                            if (err) {
+                                return reject(err);
                             }
+                            resolve();
+                        }
+                    );
+                })
+        );
+    }
 
-                            return this.put(tagset.keys[index], [ref], ttl);
-                        });
-                    })
-                    .then(() => {
-                        return this.put(ref, value, ttl);
-                    })
-                    .then(resolve)
-                    .catch(reject);
-            } else {
-                this.memcached.set(key, this.serialize(value), ttl, err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            }
-        });
+    /**
+     * Store an item unless it exists
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof MemcachedDriver
+     */
+    add(key, value, ttl, tagset) {
+        if (tagset instanceof TagSet) {
+            const ref = tagset.ref(key);
+
+            return this.add(ref, value, ttl).then(added =>
+                added
+                    ? this.attach(tagset, [ref], ttl || 0).then(() => true)
+                    : false
+            );
+        }
+
+        return scoped(this, [key]).then(
+            ([key]) =>
+                new Promise((resolve, reject) => {
+                    this.memcached.add(
+                        key,
+                        this.serialize(wrap(this, value, ttl)),
+                        ttl || 0,
+                        err => {
+                            if (err) {
+                                return err.notStored
+                                    ? resolve(false)
+                                    : reject(err);
+                            }
+                            resolve(true);
+                        }
+                    );
+                })
+        );
     }
 
     /**
@@ -124,89 +437,216 @@ module.exports = class MemcachedDriver extends Driver {
      * @memberof MemcachedDriver
      */
     putMany(array, ttl, tagset) {
-        return Promise.map(array, item =>
-            this.put(item.key, item.value, ttl, tagset)
-        );
+        if (!(tagset instanceof TagSet)) {
+            return Promise.map(array, item =>
+                this.put(item.key, item.value, ttl)
+            ).then(() => undefined);
+        }
+        const refs = array.map(item => tagset.ref(item.key));
+
+        // the whole batch is attached with one index update per tag, so that its items do not compete for the cas
+        return Promise.map(array, (item, index) =>
+            this.put(refs[index], item.value, ttl)
+        ).then(() => this.attach(tagset, refs, ttl));
     }
 
     /**
-     * Increase the value of an integer item
+     * Add reference keys to the tag indexes, which keep them until they expire
+     * 
+     * @param {TagSet} tagset 
+     * @param {Array<String>} refs 
+     * @param {Number} ttl 
+     * @returns {Promise<void>}
+     * @memberof MemcachedDriver
+     */
+    attach(tagset, refs, ttl) {
+        const expires = expiryOf(ttl);
+
+        return scoped(this, tagset.keys)
+            .then(keys =>
+                Promise.map(keys, key =>
+                    update(this, key, members => {
+                        refs.forEach(ref => {
+                            members[ref] = expires;
+                        });
+
+                        return members;
+                    })
+                )
+            )
+            .then(() => undefined);
+    }
+
+    /**
+     * Add an amount to an integer item.
+     * Counters stored as plain integers are updated in place with incr/decr, which keeps their ttl,
+     * other counters are stored with their expiry time and swapped with cas for the same lifetime.
+     * Counters cannot go below zero on either path, as memcached decr stops at zero
      * 
      * @param {String} key 
-     * @param {Number} [amount] 
+     * @param {Number} amount 
      * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @param {String} verb 
      * @returns {Promise<Number>}
      * @memberof MemcachedDriver
      */
-    increment(key, amount, tagset) {
+    adjust(key, amount, tagset, ttl, verb) {
+        const ref = tagset instanceof TagSet ? tagset.ref(key) : key;
+
+        return scoped(this, [ref])
+            .then(([key]) =>
+                this.numeric
+                    ? this.count(key, amount, ttl, verb)
+                    : this.swap(key, amount, ttl, verb)
+            )
+            .then(value => {
+                if (!(tagset instanceof TagSet)) {
+                    return value;
+                }
+
+                return this.attach(tagset, [ref], ttl || 0).then(
+                    () => value
+                );
+            });
+    }
+
+    /**
+     * Add an amount to a plain integer item with incr/decr, creating it when missing
+     * 
+     * @param {String} key stored key 
+     * @param {Number} amount 
+     * @param {Number} [ttl] 
+     * @param {String} verb 
+     * @returns {Promise<Number>}
+     * @memberof MemcachedDriver
+     */
+    count(key, amount, ttl, verb) {
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            this.memcached.get(key, (err, value) => {
+            const command = amount < 0 ? 'decr' : 'incr';
+            this.memcached[command](key, Math.abs(amount), (err, value) => {
                 if (err) {
-                    return reject(err);
-                }
-                if (value == undefined) {
-                    value = 0;
-                } else {
-                    value = this.deserialize(value);
-                }
-                if (Number.isNaN(value)) {
                     return reject(
-                        new Error('cannont increase a non-number value')
+                        /non-numeric/.test(err.message)
+                            ? new Error(`cannot ${verb} a non-number value`)
+                            : err
                     );
                 }
-                value += amount;
-                this.memcached.set(key, this.serialize(value), 0, err => {
+                if (typeof value === 'number') {
+                    return resolve(value);
+                }
+                const initial = Math.max(amount, 0);
+                this.memcached.add(key, initial, ttl || 0, err => {
                     if (err) {
-                        return reject(err);
+                        // created by someone else in the meantime
+                        return err.notStored
+                            ? resolve(this.count(key, amount, ttl, verb))
+                            : reject(err);
                     }
-                    resolve(value);
+                    resolve(initial);
                 });
             });
         });
     }
 
     /**
-     * Decrease the value of an integer item
+     * Add an amount to a serialized integer item with gets/cas, retrying when it is changed concurrently.
+     * The counter keeps its expiry time, numbers stored without one by earlier versions are refused
      * 
-     * @param {String} key 
-     * @param {Number} [amount] 
-     * @param {TagSet} [tagset] 
+     * @param {String} key stored key 
+     * @param {Number} amount 
+     * @param {Number} [ttl] 
+     * @param {String} verb 
      * @returns {Promise<Number>}
      * @memberof MemcachedDriver
      */
-    decrement(key, amount, tagset) {
+    swap(key, amount, ttl, verb) {
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            this.memcached.get(key, (err, value) => {
+            this.memcached.gets(key, (err, data) => {
                 if (err) {
                     return reject(err);
                 }
-                if (value == undefined) {
-                    value = 0;
-                } else {
-                    value = this.deserialize(value);
+                if (!data) {
+                    const initial = Math.max(amount, 0);
+
+                    return this.memcached.add(
+                        key,
+                        this.serialize(wrap(this, initial, ttl)),
+                        ttl || 0,
+                        err => {
+                            if (err) {
+                                return err.notStored
+                                    ? resolve(this.swap(key, amount, ttl, verb))
+                                    : reject(err);
+                            }
+                            resolve(initial);
+                        }
+                    );
                 }
-                if (Number.isNaN(value)) {
+                const counter = this.deserialize(data[key]);
+                if (typeof counter === 'number') {
                     return reject(
-                        new Error('cannont decrease a non-number value')
+                        new Error(
+                            `cannot ${verb} a number stored without its expiry, put it again first`
+                        )
                     );
                 }
-                value -= amount;
-                this.memcached.set(key, this.serialize(value), 0, err => {
-                    if (err) {
-                        return reject(err);
+                const value = unwrap(counter);
+                if (typeof value !== 'number') {
+                    return reject(
+                        new Error(`cannot ${verb} a non-number value`)
+                    );
+                }
+                const next = Math.max(value + amount, 0);
+                this.memcached.cas(
+                    key,
+                    this.serialize({
+                        [COUNTER]: next,
+                        expires: counter.expires
+                    }),
+                    data.cas,
+                    counter.expires,
+                    (err, stored) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve(
+                            stored ? next : this.swap(key, amount, ttl, verb)
+                        );
                     }
-                    resolve(value);
-                });
+                );
             });
         });
     }
 
+    /**
+     * Increase the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof MemcachedDriver
+     */
+    increment(key, amount, tagset, ttl) {
+        return this.adjust(key, amount, tagset, ttl, 'increase');
+    }
+
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof MemcachedDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.adjust(key, -amount, tagset, ttl, 'decrease');
+    }
+
     /**
      * Store an item in the cache permanently.
      * It must be manually removed from the cache using the 'forget' method
@@ -221,6 +661,28 @@ module.exports = class MemcachedDriver extends Driver {
         return this.put(key, value, 0, tagset);
     }
 
+    /**
+     * Remove reference keys from the tag indexes
+     * 
+     * @param {TagSet} tagset 
+     * @param {Array<String>} refs 
+     * @returns {Promise<void>}
+     * @memberof MemcachedDriver
+     */
+    detach(tagset, refs) {
+        return scoped(this, tagset.keys)
+            .then(keys =>
+                Promise.map(keys, key =>
+                    update(this, key, members => {
+                        refs.forEach(ref => delete members[ref]);
+
+                        return members;
+                    })
+                )
+            )
+            .then(() => undefined);
+    }
+
     /**
      *  Remove an item from the cache 
      * 
@@ -230,79 +692,85 @@ module.exports = class MemcachedDriver extends Driver {
      * @memberof MemcachedDriver
      */
     forget(key, tagset) {
-        return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                const ref = tagset.ref(key);
-                this.getMany(tagset.keys)
-                    .then(values => {
-                        return Promise.map(values, (value, index) => {
-                            if (Array.isArray(value)) {
-                                const set = new Set(value);
-                                set.delete(ref);
-
-                                if (set.size === 0) {
-                                    return this.forget(tagset.keys[index]);
-                                }
+        return this.forgetMany([key], tagset);
+    }
 
-                                return this.put(
-                                    tagset.keys[index],
-                                    Array.from(set),
-                                    0
-                                );
-                            }
+    /**
+     * Remove items from the cache, the tag indexes are updated once for all of them
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof MemcachedDriver
+     */
+    forgetMany(keys, tagset) {
+        return Promise.try(() => {
+            if (tagset instanceof TagSet) {
+                keys = keys.map(key => tagset.ref(key));
 
-                            return this.forget(tagset.keys[index]);
-                        });
-                    })
-                    .then(() => {
-                        return this.forget(ref);
-                    })
-                    .then(resolve)
-                    .catch(reject);
-            } else {
-                this.memcached.del(key, err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
+                return this.detach(tagset, keys);
             }
-        });
+        })
+            .then(() => scoped(this, keys))
+            .then(keys => remove(this, keys));
     }
 
     /**
-     * Clear the entire cache 
+     * Clear the namespace by replacing its version, items of older versions are left to expire or be evicted
      * 
      * @param {TagSet} [tagset] 
      * @returns {Promise<void>}
      * @memberof MemcachedDriver
      */
     flush(tagset) {
+        if (tagset instanceof TagSet) {
+            // the indexes are emptied first, members attached meanwhile are kept for the next flush
+            return scoped(this, tagset.keys)
+                .then(keys =>
+                    Promise.map(keys, key => update(this, key, () => ({})))
+                )
+                .then(indexes => {
+                    const refs = new Set();
+                    indexes.forEach(members =>
+                        Object.keys(members).forEach(ref => refs.add(ref))
+                    );
+
+                    return scoped(this, Array.from(refs));
+                })
+                .then(refs => remove(this, refs));
+        }
+
+        const version = crypto.randomBytes(4).toString('hex');
+
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                this.getMany(tagset.keys)
-                    .then(values => {
-                        return Promise.map(values, (value, index) => {
-                            const promises = [this.forget(tagset.keys[index])];
-                            if (Array.isArray(value)) {
-                                promises.push(
-                                    Promise.map(value, key => this.forget(key))
-                                );
-                            }
+            this.memcached.set(this.scope('version'), version, 0, err => {
+                if (err) {
+                    return reject(err);
+                }
+                this.version = {
+                    promise: Promise.resolve(version),
+                    expires: Date.now() + REFRESH
+                };
+                resolve();
+            });
+        });
+    }
 
-                            return Promise.all(promises);
-                        });
-                    })
-                    .then(resolve)
-                    .catch(reject);
-            } else {
-                this.memcached.flush((err, result) => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve(result);
-                });
-            }
+    /**
+     * Clear every server, including the items of other namespaces and applications
+     * 
+     * @returns {Promise<void>}
+     * @memberof MemcachedDriver
+     */
+    flushAll() {
+        return new Promise((resolve, reject) => {
+            this.memcached.flush(err => {
+                if (err) {
+                    return reject(err);
+                }
+                delete this.version;
+                resolve();
+            });
         });
     }
 
@@ -315,15 +783,150 @@ module.exports = class MemcachedDriver extends Driver {
      * @memberof MemcachedDriver
      */
     has(key, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return scoped(this, [key]).then(
+            ([key]) =>
+                new Promise((resolve, reject) => {
+                    this.memcached.get(key, (err, data) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve(data !== undefined);
+                    });
+                })
+        );
+    }
+
+    /**
+     * Retrieve the members of the tags from their indexes in one page.
+     * Memcached cannot enumerate its keys, so keys can only be retrieved inside of tags.
+     * Members may have been evicted, and members of indexes stored by earlier versions are listed until they are flushed
+     * 
+     * @param {any} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: any, keys: Array<String>}>}
+     * @memberof MemcachedDriver
+     */
+    scan(cursor, pattern, tagset) {
+        if (!(tagset instanceof TagSet)) {
+            return Promise.reject(
+                new Error(
+                    `memcached keys can only be retrieved inside of tags, and not with tagging 'version'`
+                )
+            );
+        }
+
+        return scoped(this, tagset.keys).then(
+            keys =>
+                new Promise((resolve, reject) => {
+                    this.memcached.getMulti(keys, (err, values) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        const time = now();
+                        const refs = new Set();
+                        keys.forEach(key => {
+                            if (!values || values[key] === undefined) {
+                                return;
+                            }
+                            const members = membersOf(
+                                this.deserialize(values[key])
+                            );
+                            Object.keys(members).forEach(ref => {
+                                if (!members[ref] || members[ref] > time) {
+                                    refs.add(ref);
+                                }
+                            });
+                        });
+                        resolve({
+                            cursor: undefined,
+                            keys: Array.from(refs, ref => TagSet.key(ref))
+                        });
+                    });
+                })
+        );
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof MemcachedDriver
+     */
+    acquire(name, owner, seconds) {
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            this.memcached.get(key, (err, data) => {
+            this.memcached.add(
+                this.scope('lock', name),
+                owner,
+                Math.max(1, Math.ceil(seconds)),
+                err => {
+                    if (err) {
+                        return err.notStored ? resolve(false) : reject(err);
+                    }
+                    resolve(true);
+                }
+            );
+        });
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof MemcachedDriver
+     */
+    release(name, owner) {
+        return new Promise((resolve, reject) => {
+            const key = this.scope('lock', name);
+            this.memcached.gets(key, (err, data) => {
+                if (err) {
+                    return reject(err);
+                }
+                if (!data || data[key] !== owner) {
+                    return resolve(false);
+                }
+                // swap the owner out first so a lock acquired by someone else in the meantime is never deleted
+                this.memcached.cas(key, 'released', data.cas, 1, (err, swapped) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    if (!swapped) {
+                        return resolve(false);
+                    }
+                    this.memcached.del(key, err => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve(true);
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof MemcachedDriver
+     */
+    forceRelease(name) {
+        return new Promise((resolve, reject) => {
+            this.memcached.del(this.scope('lock', name), err => {
                 if (err) {
                     return reject(err);
                 }
-                resolve(data !== undefined);
+                resolve();
             });
         });
     }
@@ -2,33 +2,419 @@ const Promise = require('bluebird');
 const Driver = require('../driver');
 const TagSet = require('../tagset');
 
+/**
+ * Binary min-heap of expiry timestamps
+ */
+class Heap {
+
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    /**
+     * Get the item which expires first
+     * 
+     * @returns {{key: String, expires: Number}}
+     */
+    peek() {
+        return this.items[0];
+    }
+
+    /**
+     * Add an item
+     * 
+     * @param {{key: String, expires: Number}} item 
+     */
+    push(item) {
+        const items = this.items;
+        let i = items.push(item) - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].expires <= item.expires) {
+                break;
+            }
+            items[i] = items[parent];
+            i = parent;
+        }
+        items[i] = item;
+    }
+
+    /**
+     * Remove and return the item which expires first
+     * 
+     * @returns {{key: String, expires: Number}}
+     */
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            let i = 0;
+            for (;;) {
+                let child = 2 * i + 1;
+                if (child >= items.length) {
+                    break;
+                }
+                if (
+                    child + 1 < items.length &&
+                    items[child + 1].expires < items[child].expires
+                ) {
+                    child++;
+                }
+                if (items[child].expires >= last.expires) {
+                    break;
+                }
+                items[i] = items[child];
+                i = child;
+            }
+            items[i] = last;
+        }
+
+        return top;
+    }
+
+}
+
+const POLICIES = ['lru', 'lfu', 'ttl'];
+
+/**
+ * Get the approximate number of bytes an entry takes.
+ * Values kept as they are without a serializer are measured by their JSON form,
+ * and values which cannot be written as JSON by their string form
+ * 
+ * @param {String} key 
+ * @param {any} value serialized value 
+ * @returns {Number}
+ */
+function sizeOf(key, value) {
+    if (Buffer.isBuffer(value)) {
+        return Buffer.byteLength(key) + value.length;
+    }
+    let text = value;
+    if (typeof value !== 'string') {
+        try {
+            text = JSON.stringify(value);
+        } catch (err) {
+            // circular structures and bigints
+            text = undefined;
+        }
+    }
+
+    return (
+        Buffer.byteLength(key) +
+        Buffer.byteLength(text === undefined ? String(value) : text)
+    );
+}
+
 module.exports = class MemoryDriver extends Driver {
 
     /**
      * Creates an instance of MemoryDriver
      * 
-     * @param {{namespace?: String, serializer?: Serializer, driver: {interval?: Number}}} [options] 
+     * @param {{namespace?: String, serializer?: Serializer, driver: {interval?: Number, maxEntries?: Number, maxBytes?: Number, policy?: String}}} [options] 
      */
     constructor(options) {
         super(options);
-        this.memory = {};
-        this.ttl = [];
+        const driver = (options && options.driver) || {};
+        this.policy = driver.policy || 'lru';
+        if (POLICIES.indexOf(this.policy) < 0) {
+            throw new Error('Unknown eviction policy');
+        }
+        this.maxEntries = driver.maxEntries || 0;
+        this.maxBytes = driver.maxBytes || 0;
+        this.bytes = 0;
+        this.evictions = 0;
+        // entries sorted by their access frequency, only used by the lfu policy
+        this.frequencies = new Map();
+        this.minimum = 0;
+        this.entries = new Map();
+        this.tags = new Map();
+        this.locks = new Map();
+        this.heap = new Heap();
         this.timer = setInterval(
-            this.tick.bind(this),
-            (options && options.driver && options.driver.interval) || 1000
+            this.sweep.bind(this),
+            driver.interval || 1000
         );
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
     }
 
-    tick() {
-        let i = this.ttl.length;
-        while (i--) {
-            if (this.ttl[i].ttl <= 0) {
-                delete this.memory[this.ttl[i].key];
-                this.ttl.splice(i, 1);
-            } else {
-                this.ttl[i].ttl--;
+    /**
+     * Remove expired entries in expiry order
+     * 
+     * @memberof MemoryDriver
+     */
+    sweep() {
+        const now = Date.now();
+        while (this.heap.size && this.heap.peek().expires <= now) {
+            const { key, expires } = this.heap.pop();
+            const entry = this.entries.get(key);
+            // the heap keeps outdated items of overwritten entries
+            if (entry && entry.expires === expires) {
+                this.discard(key, entry, 'expired');
             }
         }
+        if (this.heap.size > 2 * this.entries.size + 1024) {
+            this.heap = new Heap();
+            this.entries.forEach((entry, key) => {
+                if (entry.expires) {
+                    this.heap.push({ key, expires: entry.expires });
+                }
+            });
+        }
+    }
+
+    /**
+     * Get an unexpired entry
+     * 
+     * @param {String} key 
+     * @param {Boolean} [touch] count the lookup as an access 
+     * @returns {{value: any, size: Number, expires: Number, tags?: Array<String>}}
+     * @memberof MemoryDriver
+     */
+    lookup(key, touch) {
+        const entry = this.entries.get(key);
+        if (entry && entry.expires && entry.expires <= Date.now()) {
+            this.discard(key, entry, 'expired');
+
+            return undefined;
+        }
+        if (entry && touch) {
+            this.touch(key, entry);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Delete an expired or evicted entry and announce it
+     * 
+     * @param {String} key 
+     * @param {{tags?: Array<String>}} entry 
+     * @param {String} event 'expired' or 'evicted'
+     * @memberof MemoryDriver
+     */
+    discard(key, entry, event) {
+        this.delete(key);
+        if (this.listenerCount(event)) {
+            this.emit(event, {
+                // tagged entries are stored under the tagset hash
+                key: entry.tags ? key.slice(key.indexOf(':') + 1) : key,
+                tags: entry.tags ? entry.tags.map(k => k.slice(5)) : []
+            });
+        }
+    }
+
+    /**
+     * Record an access to an entry
+     * 
+     * @param {String} key 
+     * @param {{hits: Number}} entry 
+     * @memberof MemoryDriver
+     */
+    touch(key, entry) {
+        if (this.policy === 'lfu') {
+            this.frequency(key, entry.hits, entry.hits + 1);
+            entry.hits++;
+        } else {
+            // maps iterate in insertion order, so the first key is the least recently used
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+    }
+
+    /**
+     * Move a key between access frequencies
+     * 
+     * @param {String} key 
+     * @param {Number} [from] 
+     * @param {Number} [to] 
+     * @memberof MemoryDriver
+     */
+    frequency(key, from, to) {
+        if (from) {
+            const keys = this.frequencies.get(from);
+            keys.delete(key);
+            if (!keys.size) {
+                this.frequencies.delete(from);
+                if (this.minimum === from) {
+                    this.minimum = to || 0;
+                }
+            }
+        }
+        if (to) {
+            if (!this.frequencies.has(to)) {
+                this.frequencies.set(to, new Set());
+            }
+            this.frequencies.get(to).add(key);
+            // an unknown minimum is looked up again by the next eviction
+            if (to === 1 || to < this.minimum) {
+                this.minimum = to;
+            }
+        }
+    }
+
+    /**
+     * Get the key to evict next
+     * 
+     * @returns {String}
+     * @memberof MemoryDriver
+     */
+    victim() {
+        if (this.policy === 'lfu') {
+            if (!this.frequencies.has(this.minimum)) {
+                this.minimum = Math.min(...this.frequencies.keys());
+            }
+
+            return this.frequencies
+                .get(this.minimum)
+                .values()
+                .next().value;
+        }
+        if (this.policy === 'ttl') {
+            while (this.heap.size) {
+                const { key, expires } = this.heap.peek();
+                const entry = this.entries.get(key);
+                if (entry && entry.expires === expires) {
+                    return key;
+                }
+                this.heap.pop();
+            }
+        }
+
+        return this.entries.keys().next().value;
+    }
+
+    /**
+     * Evict entries until the limits are satisfied, leaving room for an incoming entry if given
+     * 
+     * @param {Number} [incoming] size of an entry about to be stored 
+     * @memberof MemoryDriver
+     */
+    evict(incoming) {
+        const count = incoming === undefined ? 0 : 1;
+        const size = incoming || 0;
+        while (
+            this.entries.size &&
+            ((this.maxEntries && this.entries.size + count > this.maxEntries) ||
+                (this.maxBytes && this.bytes + size > this.maxBytes))
+        ) {
+            const key = this.victim();
+            this.discard(key, this.entries.get(key), 'evicted');
+            this.evictions++;
+        }
+    }
+
+    /**
+     * Store an entry and add it to its tags
+     * 
+     * @param {String} key 
+     * @param {any} value serialized value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @memberof MemoryDriver
+     */
+    store(key, value, ttl, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+        this.delete(key);
+        const entry = {
+            value,
+            size: sizeOf(key, value),
+            hits: 1,
+            expires: ttl ? Date.now() + ttl * 1000 : 0
+        };
+        // room is made beforehand, so that the new entry is not the first one to go
+        // as the least frequently used or the first to expire
+        this.evict(entry.size);
+        if (tagset instanceof TagSet) {
+            entry.tags = tagset.keys;
+            tagset.keys.forEach(k => {
+                if (!this.tags.has(k)) {
+                    this.tags.set(k, new Set());
+                }
+                this.tags.get(k).add(key);
+            });
+        }
+        this.entries.set(key, entry);
+        this.bytes += entry.size;
+        if (this.policy === 'lfu') {
+            this.frequency(key, 0, entry.hits);
+        }
+        if (entry.expires) {
+            this.heap.push({ key, expires: entry.expires });
+        }
+        this.evict();
+    }
+
+    /**
+     * Delete an entry and remove it from its tags
+     * 
+     * @param {String} key 
+     * @memberof MemoryDriver
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+        this.entries.delete(key);
+        this.bytes -= entry.size;
+        if (this.policy === 'lfu') {
+            this.frequency(key, entry.hits);
+        }
+        if (entry.tags) {
+            entry.tags.forEach(k => {
+                const refs = this.tags.get(k);
+                if (refs) {
+                    refs.delete(key);
+                    if (!refs.size) {
+                        this.tags.delete(k);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Add an amount to an integer item, keeping its expiry
+     * 
+     * @param {String} key 
+     * @param {Number} amount 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @param {String} verb 
+     * @returns {Promise<Number>}
+     * @memberof MemoryDriver
+     */
+    adjust(key, amount, tagset, ttl, verb) {
+        return Promise.try(() => {
+            const ref = tagset instanceof TagSet ? tagset.ref(key) : key;
+            const entry = this.lookup(ref, true);
+            if (!entry) {
+                this.store(key, this.serialize(amount), ttl, tagset);
+
+                return amount;
+            }
+            let value = this.deserialize(entry.value);
+            if (typeof value !== 'number') {
+                throw new Error(`cannot ${verb} a non-number value`);
+            }
+            value += amount;
+            entry.value = this.serialize(value);
+            const size = sizeOf(ref, entry.value);
+            this.bytes += size - entry.size;
+            entry.size = size;
+            this.evict();
+
+            return value;
+        });
     }
 
     /**
@@ -43,14 +429,15 @@ module.exports = class MemoryDriver extends Driver {
         if (tagset instanceof TagSet) {
             key = tagset.ref(key);
         }
+        const entry = this.lookup(key, true);
 
-        return Promise.resolve(this.deserialize(this.memory[key]));
+        return Promise.resolve(entry && this.decode(key, entry.value));
     }
 
     /**
      * Retrieve items from the cache
      * 
-     * @param {Array<String>} keys
+     * @param {Array<String>} keys 
      * @param {TagSet} [tagset] 
      * @returns {Promise<Array<any>>}
      * @memberof MemoryDriver
@@ -60,7 +447,36 @@ module.exports = class MemoryDriver extends Driver {
             keys = keys.map(key => tagset.ref(key));
         }
 
-        return Promise.map(keys, key => this.deserialize(this.memory[key]));
+        return Promise.map(keys, key => {
+            const entry = this.lookup(key, true);
+
+            return entry && this.decode(key, entry.value);
+        });
+    }
+
+    /**
+     * Replace a stored value unless it has been changed meanwhile, keeping its expiry
+     * 
+     * @param {String} key 
+     * @param {any} previous 
+     * @param {any} next 
+     * @returns {Promise<Boolean>}
+     * @memberof MemoryDriver
+     */
+    rewrite(key, previous, next) {
+        return Promise.try(() => {
+            const entry = this.entries.get(key);
+            if (!entry || entry.value !== previous) {
+                return false;
+            }
+            const size = sizeOf(key, next);
+            this.bytes += size - entry.size;
+            entry.size = size;
+            entry.value = next;
+            this.evict();
+
+            return true;
+        });
     }
 
     /**
@@ -75,22 +491,7 @@ module.exports = class MemoryDriver extends Driver {
      */
     put(key, value, ttl, tagset) {
         return Promise.try(() => {
-            if (tagset instanceof TagSet) {
-                const ref = tagset.ref(key);
-                tagset.keys.forEach(k => {
-                    if (!this.memory[k]) {
-                        this.memory[k] = [];
-                    }
-                    if (this.memory[k].indexOf(ref) < 0) {
-                        this.memory[k].push(ref);
-                    }
-                });
-                key = ref;
-            }
-            this.memory[key] = this.serialize(value);
-            if (ttl) {
-                this.ttl.push({ key: key, ttl });
-            }
+            this.store(key, this.serialize(value), ttl, tagset);
         });
     }
 
@@ -104,67 +505,60 @@ module.exports = class MemoryDriver extends Driver {
      * @memberof MemoryDriver
      */
     putMany(array, ttl, tagset) {
-        return Promise.map(array, item =>
-            this.put(item.key, item.value, ttl, tagset)
-        );
+        return Promise.try(() => {
+            array.forEach(item =>
+                this.store(item.key, this.serialize(item.value), ttl, tagset)
+            );
+        });
     }
 
     /**
-     * Increase the value of an integer item
+     * Store an item unless it exists
      * 
      * @param {String} key 
-     * @param {Number} [amount] 
+     * @param {any} value 
+     * @param {Number} [ttl] 
      * @param {TagSet} [tagset] 
-     * @returns {Promise<Number>}
+     * @returns {Promise<Boolean>}
      * @memberof MemoryDriver
      */
-    increment(key, amount, tagset) {
+    add(key, value, ttl, tagset) {
         return Promise.try(() => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            let value = this.deserialize(this.memory[key]);
-            if (typeof value === undefined) {
-                value = 0;
-            }
-            if (typeof value === 'number') {
-                value += amount;
-                this.memory[key] = this.serialize(value);
-            } else {
-                throw new Error('cannot increase a non-number value');
+            if (this.lookup(tagset instanceof TagSet ? tagset.ref(key) : key)) {
+                return false;
             }
+            this.store(key, this.serialize(value), ttl, tagset);
 
-            return value;
+            return true;
         });
     }
 
     /**
-     * Decrease the value of an integer item
+     * Increase the value of an integer item
      * 
      * @param {String} key 
      * @param {Number} [amount] 
      * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
      * @returns {Promise<Number>}
      * @memberof MemoryDriver
      */
-    decrement(key, amount, tagset) {
-        return Promise.try(() => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            let value = this.deserialize(this.memory[key]);
-            if (typeof value === undefined) {
-                value = 0;
-            }
-            if (typeof value === 'number') {
-                value -= amount;
-                this.memory[key] = this.serialize(value);
-            } else {
-                throw new Error('cannot decrease a non-number value');
-            }
+    increment(key, amount, tagset, ttl) {
+        return this.adjust(key, amount, tagset, ttl, 'increase');
+    }
 
-            return value;
-        });
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof MemoryDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.adjust(key, -amount, tagset, ttl, 'decrease');
     }
 
     /**
@@ -178,11 +572,11 @@ module.exports = class MemoryDriver extends Driver {
      * @memberof MemoryDriver
      */
     forever(key, value, tagset) {
-        return this.put(key, this.serialize(value), undefined, tagset);
+        return this.put(key, value, undefined, tagset);
     }
 
     /**
-     *  Remove an item from the cache 
+     *  Remove an item from the cache
      * 
      * @param {String} key 
      * @param {TagSet} [tagset] 
@@ -191,28 +585,28 @@ module.exports = class MemoryDriver extends Driver {
      */
     forget(key, tagset) {
         return Promise.try(() => {
-            if (tagset instanceof TagSet) {
-                const ref = tagset.ref(key);
-                tagset.keys.forEach(k => {
-                    if (this.memory[k]) {
-                        const i = this.memory[k].indexOf(ref);
-                        if (i >= 0) {
-                            this.memory[k].splice(i, 1);
-                        }
-                    }
-                });
-                key = ref;
-            }
-            delete this.memory[key];
-            const index = this.ttl.findIndex(t => t.key === key);
-            if (index >= 0) {
-                this.ttl.splice(index, 1);
-            }
+            this.delete(tagset instanceof TagSet ? tagset.ref(key) : key);
         });
     }
 
     /**
-     * Clear the entire cache 
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof MemoryDriver
+     */
+    forgetMany(keys, tagset) {
+        return Promise.try(() => {
+            keys.forEach(key =>
+                this.delete(tagset instanceof TagSet ? tagset.ref(key) : key)
+            );
+        });
+    }
+
+    /**
+     * Clear the entire cache
      * 
      * @param {TagSet} [tagset] 
      * @returns {Promise<void>}
@@ -222,18 +616,33 @@ module.exports = class MemoryDriver extends Driver {
         return Promise.try(() => {
             if (tagset instanceof TagSet) {
                 tagset.keys.forEach(k => {
-                    if (this.memory[k]) {
-                        this.memory[k].forEach(p => delete this.memory[p]);
+                    const refs = this.tags.get(k);
+                    if (refs) {
+                        refs.forEach(ref => this.delete(ref));
                     }
-                    delete this.memory[k];
+                    this.tags.delete(k);
                 });
             } else {
-                this.memory = {};
-                this.ttl = [];
+                this.entries.clear();
+                this.tags.clear();
+                this.frequencies.clear();
+                this.heap = new Heap();
+                this.bytes = 0;
+                this.minimum = 0;
             }
         });
     }
 
+    /**
+     * Clear the entire cache, which is held by this instance alone
+     * 
+     * @returns {Promise<void>}
+     * @memberof MemoryDriver
+     */
+    flushAll() {
+        return this.flush();
+    }
+
     /**
      * Determine if an item exists in the cache
      * 
@@ -247,7 +656,102 @@ module.exports = class MemoryDriver extends Driver {
             key = tagset.ref(key);
         }
 
-        return Promise.resolve(this.memory[key] !== undefined);
+        return Promise.resolve(this.lookup(key) !== undefined);
+    }
+
+    /**
+     * Retrieve the stored keys in one page
+     * 
+     * @param {any} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: any, keys: Array<String>}>}
+     * @memberof MemoryDriver
+     */
+    scan(cursor, pattern, tagset) {
+        return Promise.try(() => {
+            const now = Date.now();
+            const alive = key => {
+                const entry = this.entries.get(key);
+
+                return entry && (!entry.expires || entry.expires > now);
+            };
+            if (!(tagset instanceof TagSet)) {
+                return {
+                    cursor: undefined,
+                    keys: Array.from(this.entries.keys()).filter(alive)
+                };
+            }
+            const refs = new Set();
+            tagset.keys.forEach(k => {
+                const members = this.tags.get(k);
+                if (members) {
+                    members.forEach(ref => alive(ref) && refs.add(ref));
+                }
+            });
+
+            return {
+                cursor: undefined,
+                keys: Array.from(refs, ref => TagSet.key(ref))
+            };
+        });
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof MemoryDriver
+     */
+    acquire(name, owner, seconds) {
+        return Promise.try(() => {
+            const lock = this.locks.get(name);
+            if (lock && lock.expires > Date.now()) {
+                return false;
+            }
+            this.locks.set(name, {
+                owner,
+                expires: Date.now() + seconds * 1000
+            });
+
+            return true;
+        });
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof MemoryDriver
+     */
+    release(name, owner) {
+        return Promise.try(() => {
+            const lock = this.locks.get(name);
+            if (!lock || lock.owner !== owner || lock.expires <= Date.now()) {
+                return false;
+            }
+            this.locks.delete(name);
+
+            return true;
+        });
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof MemoryDriver
+     */
+    forceRelease(name) {
+        return Promise.try(() => {
+            this.locks.delete(name);
+        });
     }
 
     /**
@@ -257,10 +761,13 @@ module.exports = class MemoryDriver extends Driver {
      * @memberof MemoryDriver
      */
     dispose() {
-        delete this.memory;
-        delete this.ttl;
-        delete this.timer;
         clearInterval(this.timer);
+        delete this.timer;
+        delete this.entries;
+        delete this.tags;
+        delete this.locks;
+        delete this.heap;
+        delete this.frequencies;
 
         return Promise.resolve();
     }
@@ -3,23 +3,319 @@ const { RedisClient } = require('redis');
 const Driver = require('../driver');
 const TagSet = require('../tagset');
 
+/**
+ * Increase a counter atomically and attach it to its tags.
+ * The ttl is only set when the counter is created, so that an existing ttl is kept
+ */
+const ADJUST = `
+local created = redis.call("EXISTS", KEYS[1]) == 0
+local value = redis.call("INCRBY", KEYS[1], ARGV[1])
+if created and tonumber(ARGV[2]) > 0 then
+    redis.call("EXPIRE", KEYS[1], ARGV[2])
+end
+for i = 2, #KEYS do
+    redis.call("SADD", KEYS[i], ARGV[3])
+end
+return value`;
+
+/**
+ * Replace a value unless it has been changed meanwhile, keeping its ttl
+ */
+const REWRITE = `
+if redis.call("GET", KEYS[1]) ~= ARGV[1] then
+    return 0
+end
+local ttl = redis.call("PTTL", KEYS[1])
+if ttl > 0 then
+    redis.call("SET", KEYS[1], ARGV[2], "PX", ttl)
+else
+    redis.call("SET", KEYS[1], ARGV[2])
+end
+return 1`;
+
+/**
+ * Create an ioredis client for cluster or sentinel mode
+ * 
+ * @param {Object} options driver options
+ * @returns {Object}
+ */
+function connect(options) {
+    const IORedis = require('ioredis');
+    if (options.cluster) {
+        return new IORedis.Cluster(
+            options.cluster,
+            Object.assign({}, options.clusterOptions, {
+                keyPrefix: options.prefix
+            })
+        );
+    }
+
+    return new IORedis(
+        Object.assign({}, options, { keyPrefix: options.prefix })
+    );
+}
+
+/**
+ * Get the key argument of a read.
+ * node_redis clients detecting buffers reply with Buffers only to commands which have Buffer arguments
+ * 
+ * @param {RedisDriver} driver 
+ * @param {String} key 
+ * @returns {String|Buffer}
+ */
+function keyOf(driver, key) {
+    return driver.binary && !driver.ioredis ? Buffer.from(key) : key;
+}
+
+/**
+ * Get the name of a read command, ioredis replies with Buffers to the Buffer variants of commands
+ * 
+ * @param {RedisDriver} driver 
+ * @param {String} command 
+ * @returns {String}
+ */
+function readerOf(driver, command) {
+    return driver.binary && driver.ioredis ? `${command}Buffer` : command;
+}
+
+/**
+ * Get the hash tag of a key, keys of the same hash tag are stored in the same cluster slot
+ * 
+ * @param {String} key 
+ * @returns {String}
+ */
+function hashTag(key) {
+    const start = key.indexOf('{');
+    const end = start >= 0 ? key.indexOf('}', start + 1) : -1;
+
+    return end > start + 1 ? key.slice(start + 1, end) : key;
+}
+
+/**
+ * Split the indexes of keys into groups which can be sent in one command or transaction.
+ * Keys of a cluster are grouped by their hash tags
+ * 
+ * @param {RedisDriver} driver 
+ * @param {Array<String>} keys 
+ * @returns {Array<Array<Number>>}
+ */
+function partition(driver, keys) {
+    if (!driver.cluster) {
+        return [keys.map((key, index) => index)];
+    }
+    const groups = new Map();
+    keys.forEach((key, index) => {
+        const tag = hashTag(key);
+        if (!groups.has(tag)) {
+            groups.set(tag, []);
+        }
+        groups.get(tag).push(index);
+    });
+
+    return Array.from(groups.values());
+}
+
+/**
+ * Execute a queued transaction or pipeline.
+ * ioredis replies are unpacked into the shape of node_redis replies, and the first failed command rejects the whole
+ * 
+ * @param {RedisDriver} driver 
+ * @param {Object} queue 
+ * @param {Function} callback 
+ */
+function exec(driver, queue, callback) {
+    if (!driver.ioredis) {
+        return queue.exec(callback);
+    }
+    queue.exec((err, replies) => {
+        if (err || !replies) {
+            return callback(err, replies);
+        }
+        const failed = replies.find(reply => reply[0]);
+        if (failed) {
+            return callback(failed[0]);
+        }
+        callback(null, replies.map(reply => reply[1]));
+    });
+}
+
+/**
+ * Get a stored value from a reply, text serializers are handed strings even if the client returns Buffers
+ * 
+ * @param {RedisDriver} driver 
+ * @param {String|Buffer} reply 
+ * @returns {String|Buffer}
+ */
+function valueOf(driver, reply) {
+    return Buffer.isBuffer(reply) && !driver.binary ? reply.toString() : reply;
+}
+
+/**
+ * Number of keys asked for by every SCAN
+ */
+const PAGE = 1000;
+
+/**
+ * Escape the special characters of a glob-style pattern
+ * 
+ * @param {String} text 
+ * @returns {String}
+ */
+function escape(text) {
+    return text.replace(/[*?[\]\\]/g, '\\$&');
+}
+
+/**
+ * Unlink every key of the namespace from a node, scanning it incrementally.
+ * Locks are skipped, clients which prefix keys by themselves are handed the keys without the prefix,
+ * and the keys of a cluster node are unlinked one by one since they belong to different slots.
+ * Without a separator the keys of namespaces starting with this one are matched as well
+ * 
+ * @param {RedisDriver} driver 
+ * @param {Object} client 
+ * @param {String} [cursor] 
+ * @returns {Promise<void>}
+ */
+function sweep(driver, client, cursor) {
+    const options = client.options || {};
+    const prefix = options.keyPrefix || options.prefix || '';
+    const locks = `${driver.prefix}lock:`;
+
+    return new Promise((resolve, reject) => {
+        client.scan(
+            cursor || '0',
+            'MATCH',
+            `${escape(driver.prefix)}*`,
+            'COUNT',
+            PAGE,
+            (err, reply) => {
+                if (err) {
+                    return reject(err);
+                }
+                const keys = reply[1]
+                    .map(String)
+                    .filter(key => !key.startsWith(locks))
+                    .map(key => key.slice(prefix.length));
+                if (!keys.length) {
+                    return resolve(reply[0]);
+                }
+                const done = err => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(reply[0]);
+                };
+                if (driver.cluster) {
+                    return exec(
+                        driver,
+                        client.pipeline(keys.map(key => ['unlink', key])),
+                        done
+                    );
+                }
+                client.unlink(...keys, done);
+            }
+        );
+    }).then(next =>
+        String(next) === '0' ? undefined : sweep(driver, client, next)
+    );
+}
+
 module.exports = class RedisDriver extends Driver {
 
     /**
      * Creates an instance of RedisDriver
      * 
-     * @param {{namespace?: String, serializer?: Serializer, driver: {host: String, port: Number, prefix?: String}}} [options] 
+     * Cluster and sentinel connections are made by ioredis, and keys of a cluster are laid out by hash tags.
+     * Keys of a namespace are prefixed by the namespace followed by the separator, none by default as in earlier versions,
+     * and a prefix given instead of a namespace is used as it is
+     * 
+     * @param {{namespace?: String, serializer?: Serializer, driver: {host: String, port: Number, prefix?: String, separator?: String, return_buffers?: Boolean, cluster?: Array<{host: String, port: Number}>, clusterOptions?: Object, sentinels?: Array<{host: String, port: Number}>, name?: String}}} [options] 
      */
     constructor(options) {
         if (options) {
-            if (options.namespace && options.driver) {
-                options.driver.prefix = options.namespace;
-            } else if (options.driver && !options.namespace) {
+            if (options.namespace) {
+                const separator =
+                    (options.driver && options.driver.separator) || '';
+                // every key is prefixed by the client, so that locks and tag sets belong to the namespace as well
+                options.driver = Object.assign({}, options.driver, {
+                    prefix: `${options.namespace}${separator}`
+                });
+            } else if (options.driver) {
                 options.namespace = options.driver.prefix;
             }
         }
         super(options);
-        this.redis = new RedisClient(options && options.driver);
+        const driver = options && options.driver;
+        this.prefix = (driver && driver.prefix) || '';
+        this.cluster = !!(driver && driver.cluster);
+        this.ioredis = !!(driver && (driver.cluster || driver.sentinels));
+        if (this.ioredis) {
+            this.redis = connect(driver);
+        } else {
+            // tag sets and locks are still read as strings
+            this.redis = new RedisClient(
+                this.binary && !(driver && driver.return_buffers)
+                    ? Object.assign({}, driver, { detect_buffers: true })
+                    : driver
+            );
+        }
+    }
+
+    /**
+     * Get the keys of the member sets of a tagset.
+     * In a cluster every tag key is a hash tag of its own
+     * 
+     * @param {TagSet} tagset 
+     * @returns {Array<String>}
+     * @memberof RedisDriver
+     */
+    tagKeys(tagset) {
+        return this.cluster ? tagset.keys.map(key => `{${key}}`) : tagset.keys;
+    }
+
+    /**
+     * Get the reference key of a tagged item.
+     * In a cluster items are stored in the slot of their first tag, so that one tag set and its items can be updated together
+     * 
+     * @param {TagSet} tagset 
+     * @param {String} key 
+     * @returns {String}
+     * @memberof RedisDriver
+     */
+    ref(tagset, key) {
+        return this.cluster
+            ? `{${tagset.keys[0]}}${tagset.ref(key)}`
+            : tagset.ref(key);
+    }
+
+    /**
+     * Run commands in transactions, one per group of keys sharing a cluster slot.
+     * Outside of a cluster all commands run in one transaction
+     * 
+     * @param {Array<Array<any>>} commands command names followed by a key and further arguments
+     * @returns {Promise<void>}
+     * @memberof RedisDriver
+     */
+    transact(commands) {
+        const groups = partition(this, commands.map(command => command[1]));
+
+        return Promise.map(
+            groups,
+            indexes =>
+                new Promise((resolve, reject) => {
+                    const multi = this.redis.multi();
+                    indexes.forEach(index => {
+                        const [name, ...args] = commands[index];
+                        multi[name](...args);
+                    });
+                    exec(this, multi, err => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve();
+                    });
+                })
+        ).then(() => undefined);
     }
 
     /**
@@ -33,14 +329,17 @@ module.exports = class RedisDriver extends Driver {
     get(key, tagset) {
         return new Promise((resolve, reject) => {
             if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
+                key = this.ref(tagset, key);
             }
-            this.redis.get(key, (err, value) => {
-                if (err) {
-                    return reject(err);
+            this.redis[readerOf(this, 'get')](
+                keyOf(this, key),
+                (err, value) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(this.decode(key, valueOf(this, value)));
                 }
-                resolve(this.deserialize(value));
-            });
+            );
         });
     }
 
@@ -53,15 +352,51 @@ module.exports = class RedisDriver extends Driver {
      * @memberof RedisDriver
      */
     getMany(keys, tagset) {
+        if (tagset instanceof TagSet) {
+            keys = keys.map(key => this.ref(tagset, key));
+        }
+        const values = new Array(keys.length);
+
+        // keys of different cluster slots are read by one command per slot
+        return Promise.map(
+            partition(this, keys),
+            indexes =>
+                new Promise((resolve, reject) => {
+                    this.redis[readerOf(this, 'mget')](
+                        indexes.map(index => keyOf(this, keys[index])),
+                        (err, replies) => {
+                            if (err) {
+                                return reject(err);
+                            }
+                            indexes.forEach((index, i) => {
+                                values[index] = this.decode(
+                                    keys[index],
+                                    valueOf(this, replies[i])
+                                );
+                            });
+                            resolve();
+                        }
+                    );
+                })
+        ).then(() => values);
+    }
+
+    /**
+     * Replace a stored value unless it has been changed meanwhile, keeping its ttl
+     * 
+     * @param {String} key 
+     * @param {any} previous 
+     * @param {any} next 
+     * @returns {Promise<Boolean>}
+     * @memberof RedisDriver
+     */
+    rewrite(key, previous, next) {
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                keys = keys.map(key => tagset.ref(key));
-            }
-            this.redis.mget(keys, (err, values) => {
+            this.redis.eval(REWRITE, 1, key, previous, next, (err, result) => {
                 if (err) {
                     return reject(err);
                 }
-                resolve(values && values.map(value => this.deserialize(value)));
+                resolve(result === 1);
             });
         });
     }
@@ -77,26 +412,23 @@ module.exports = class RedisDriver extends Driver {
      * @memberof RedisDriver
      */
     put(key, value, ttl, tagset) {
+        if (tagset instanceof TagSet) {
+            const ref = this.ref(tagset, key);
+
+            return this.transact(
+                this.tagKeys(tagset)
+                    .map(k => ['sadd', k, ref])
+                    .concat([['set', ref, this.serialize(value), 'EX', ttl]])
+            );
+        }
+
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                const multi = this.redis.multi();
-                const ref = tagset.ref(key);
-                tagset.keys.forEach(k => multi.sadd(k, ref));
-                multi.set(ref, this.serialize(value), 'EX', ttl);
-                multi.exec(err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            } else {
-                this.redis.set(key, this.serialize(value), 'EX', ttl, err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            }
+            this.redis.set(key, this.serialize(value), 'EX', ttl, err => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve();
+            });
         });
     }
 
@@ -110,106 +442,246 @@ module.exports = class RedisDriver extends Driver {
      * @memberof RedisDriver
      */
     putMany(array, ttl, tagset) {
+        const commands = [];
+        if (tagset instanceof TagSet) {
+            const keys = this.tagKeys(tagset);
+            array.forEach(item => {
+                const ref = this.ref(tagset, item.key);
+                keys.forEach(k => commands.push(['sadd', k, ref]));
+                commands.push([
+                    'set',
+                    ref,
+                    this.serialize(item.value),
+                    'EX',
+                    ttl
+                ]);
+            });
+        } else {
+            array.forEach(item =>
+                commands.push([
+                    'set',
+                    item.key,
+                    this.serialize(item.value),
+                    'EX',
+                    ttl
+                ])
+            );
+        }
+
+        return this.transact(commands);
+    }
+
+    /**
+     * Store an item unless it exists by SET NX.
+     * A tagged item is added to its tags once it has been stored
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof RedisDriver
+     */
+    add(key, value, ttl, tagset) {
+        const ref = tagset instanceof TagSet ? this.ref(tagset, key) : key;
+
         return new Promise((resolve, reject) => {
-            const multi = this.redis.multi();
-            if (tagset instanceof TagSet) {
-                array.forEach(item => {
-                    const ref = tagset.ref(item.key);
-                    tagset.keys.forEach(k => multi.sadd(k, ref));
-                    multi.set(ref, this.serialize(item.value), 'EX', ttl);
-                });
-            } else {
-                array.forEach(item =>
-                    multi.set(item.key, this.serialize(item.value), 'EX', ttl)
-                );
-            }
-            multi.exec(err => {
-                if (err) {
-                    return reject(err);
+            this.redis.set(
+                ref,
+                this.serialize(value),
+                ...(ttl ? ['EX', ttl] : []),
+                'NX',
+                (err, result) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(String(result) === 'OK');
                 }
-                resolve();
-            });
+            );
+        }).then(added => {
+            if (!added || !(tagset instanceof TagSet)) {
+                return added;
+            }
+
+            return this.transact(
+                this.tagKeys(tagset).map(k => ['sadd', k, ref])
+            ).then(() => true);
         });
     }
 
     /**
-     * Increase the value of an integer item
+     * Add an amount to an integer item, keeping its ttl
      * 
      * @param {String} key 
-     * @param {Number} [amount] 
+     * @param {Number} amount 
      * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @param {String} verb 
      * @returns {Promise<Number>}
      * @memberof RedisDriver
      */
-    increment(key, amount, tagset) {
+    adjust(key, amount, tagset, ttl, verb) {
+        let keys = [];
+        if (tagset instanceof TagSet) {
+            keys = this.tagKeys(tagset);
+            key = this.ref(tagset, key);
+        }
+        if (!this.numeric) {
+            return this.watch(client =>
+                this.swap(client, key, amount, keys, ttl, verb)
+            );
+        }
+        // scripts of a cluster only touch keys of one slot,
+        // so tags are attached separately
+        const attached = this.cluster ? [] : keys;
+
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            this.redis.get(key, (err, value) => {
-                if (err) {
-                    return reject(err);
-                }
-                if (value == undefined) {
-                    value = 0;
-                } else {
-                    value = this.deserialize(value);
-                }
-                if (Number.isNaN(value)) {
-                    return reject(
-                        new Error('cannont increase a non-number value')
-                    );
-                }
-                value += amount;
-                this.redis.set(key, this.serialize(value), err => {
+            this.redis.eval(
+                ADJUST,
+                attached.length + 1,
+                key,
+                ...attached,
+                amount,
+                ttl || 0,
+                key,
+                (err, value) => {
                     if (err) {
-                        return reject(err);
+                        return reject(
+                            /not an integer/.test(err.message)
+                                ? new Error(`cannot ${verb} a non-number value`)
+                                : err
+                        );
                     }
                     resolve(value);
-                });
-            });
-        });
+                }
+            );
+        }).then(value =>
+            attached === keys
+                ? value
+                : this.transact(keys.map(k => ['sadd', k, key])).then(
+                    () => value
+                )
+        );
     }
 
     /**
-     * Decrease the value of an integer item
+     * Add an amount to a serialized integer item in an optimistic transaction, which is retried when the item is changed concurrently
      * 
+     * @param {RedisClient} client 
      * @param {String} key 
-     * @param {Number} [amount] 
-     * @param {TagSet} [tagset] 
+     * @param {Number} amount 
+     * @param {Array<String>} keys tag keys 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @param {String} verb 
      * @returns {Promise<Number>}
      * @memberof RedisDriver
      */
-    decrement(key, amount, tagset) {
+    swap(client, key, amount, keys, ttl, verb) {
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
-            }
-            this.redis.get(key, (err, value) => {
+            client.watch(key, err => {
                 if (err) {
                     return reject(err);
                 }
-                if (value == undefined) {
-                    value = 0;
-                } else {
-                    value = this.deserialize(value);
-                }
-                if (Number.isNaN(value)) {
-                    return reject(
-                        new Error('cannont decrease a non-number value')
-                    );
-                }
-                value -= amount;
-                this.redis.set(key, this.serialize(value), err => {
+                const batch = this.ioredis ? client.pipeline() : client.batch();
+                batch[readerOf(this, 'get')](keyOf(this, key)).pttl(key);
+                exec(this, batch, (err, replies) => {
                     if (err) {
+                        client.unwatch();
+
                         return reject(err);
                     }
-                    resolve(value);
+                    const raw = valueOf(this, replies[0]);
+                    const pttl = replies[1];
+                    let value = raw == undefined ? 0 : this.deserialize(raw);
+                    if (typeof value !== 'number') {
+                        client.unwatch();
+
+                        return reject(
+                            new Error(`cannot ${verb} a non-number value`)
+                        );
+                    }
+                    value += amount;
+                    const args = [key, this.serialize(value)];
+                    if (pttl > 0) {
+                        args.push('PX', pttl);
+                    } else if (raw == undefined && ttl) {
+                        args.push('EX', ttl);
+                    }
+                    const multi = client.multi();
+                    multi.set(...args);
+                    // tags of a cluster are attached separately as above
+                    if (!this.cluster) {
+                        keys.forEach(k => multi.sadd(k, key));
+                    }
+                    exec(this, multi, (err, replies) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        // null replies mean the item is changed by someone else
+                        if (replies === null) {
+                            return resolve(
+                                this.swap(client, key, amount, keys, ttl, verb)
+                            );
+                        }
+                        resolve(
+                            this.cluster && keys.length
+                                ? this.transact(
+                                    keys.map(k => ['sadd', k, key])
+                                ).then(() => value)
+                                : value
+                        );
+                    });
                 });
             });
         });
     }
 
+    /**
+     * Run a task with the connection reserved for optimistic transactions, one task at a time
+     * 
+     * @param {Function} task 
+     * @returns {Promise<any>}
+     * @memberof RedisDriver
+     */
+    watch(task) {
+        if (!this.watcher) {
+            this.watcher = this.redis.duplicate();
+            this.watching = Promise.resolve();
+        }
+        const next = this.watching.then(() => task(this.watcher));
+        this.watching = next.catch(() => {});
+
+        return next;
+    }
+
+    /**
+     * Increase the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof RedisDriver
+     */
+    increment(key, amount, tagset, ttl) {
+        return this.adjust(key, amount, tagset, ttl, 'increase');
+    }
+
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof RedisDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.adjust(key, -amount, tagset, ttl, 'decrease');
+    }
+
     /**
      * Store an item in the cache permanently.
      * It must be manually removed from the cache using the 'forget' method
@@ -221,26 +693,23 @@ module.exports = class RedisDriver extends Driver {
      * @memberof RedisDriver
      */
     forever(key, value, tagset) {
+        if (tagset instanceof TagSet) {
+            const ref = this.ref(tagset, key);
+
+            return this.transact(
+                this.tagKeys(tagset)
+                    .map(k => ['sadd', k, ref])
+                    .concat([['set', ref, this.serialize(value)]])
+            );
+        }
+
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                const multi = this.redis.multi();
-                const ref = tagset.ref(key);
-                tagset.keys.forEach(k => multi.sadd(k, ref));
-                multi.set(ref, this.serialize(value));
-                multi.exec(err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            } else {
-                this.redis.set(key, this.serialize(value), err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            }
+            this.redis.set(key, this.serialize(value), err => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve();
+            });
         });
     }
 
@@ -253,59 +722,131 @@ module.exports = class RedisDriver extends Driver {
      * @memberof RedisDriver
      */
     forget(key, tagset) {
+        if (tagset instanceof TagSet) {
+            const ref = this.ref(tagset, key);
+
+            return this.transact(
+                this.tagKeys(tagset)
+                    .map(k => ['srem', k, ref])
+                    .concat([['del', ref]])
+            );
+        }
+
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                const multi = this.redis.multi();
-                const ref = tagset.ref(key);
-                tagset.keys.forEach(k => multi.srem(k, ref));
-                multi.del(ref);
-                multi.exec(err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            } else {
-                this.redis.del(key, err => {
-                    if (err) {
-                        return reject(err);
-                    }
-                    resolve();
-                });
-            }
+            this.redis.del(key, err => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve();
+            });
         });
     }
 
     /**
-     * Clear the entire cache 
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof RedisDriver
+     */
+    forgetMany(keys, tagset) {
+        let commands = [];
+        if (tagset instanceof TagSet) {
+            keys = keys.map(key => this.ref(tagset, key));
+            commands = this.tagKeys(tagset).map(k => ['srem', k, ...keys]);
+        }
+
+        return this.transact(commands.concat(keys.map(key => ['del', key])));
+    }
+
+    /**
+     * Clear the keys of the namespace, which are scanned and unlinked incrementally.
+     * Locks are kept, and without a namespace every other key of the database is cleared
      * 
      * @param {TagSet} [tagset] 
      * @returns {Promise<void>}
      * @memberof RedisDriver
      */
     flush(tagset) {
+        if (!(tagset instanceof TagSet)) {
+            return Promise.map(
+                this.cluster ? this.redis.nodes('master') : [this.redis],
+                client => sweep(this, client)
+            ).then(() => undefined);
+        }
+        if (this.cluster) {
+            return this.flushTags(tagset);
+        }
+
         return new Promise((resolve, reject) => {
-            if (tagset instanceof TagSet) {
-                this.redis.eval(
-                    'local refs = redis.call("SUNION", unpack(KEYS)); local t = {}; for i,v in ipairs(KEYS) do table.insert(t, v) end; for i,v in ipairs(refs) do table.insert(t, ARGV[1]..v) end; return redis.call("DEL", unpack(t))',
-                    tagset.keys.length,
-                    ...tagset.keys,
-                    this.namespace || '',
-                    (err, result) => {
-                        if (err) {
-                            return reject(err);
-                        }
-                        resolve(result);
-                    }
-                );
-            } else {
-                this.redis.flushall((err, result) => {
+            this.redis.eval(
+                'local refs = redis.call("SUNION", unpack(KEYS)); local t = {}; for i,v in ipairs(KEYS) do table.insert(t, v) end; for i,v in ipairs(refs) do table.insert(t, ARGV[1]..v) end; return redis.call("DEL", unpack(t))',
+                tagset.keys.length,
+                ...tagset.keys,
+                this.prefix,
+                (err, result) => {
                     if (err) {
                         return reject(err);
                     }
                     resolve(result);
-                });
-            }
+                }
+            );
+        });
+    }
+
+    /**
+     * Clear every database of the server, or every master node of a cluster,
+     * including the keys of other namespaces and applications
+     * 
+     * @returns {Promise<void>}
+     * @memberof RedisDriver
+     */
+    flushAll() {
+        return Promise.map(
+            this.cluster ? this.redis.nodes('master') : [this.redis],
+            client =>
+                new Promise((resolve, reject) => {
+                    client.flushall(err => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve();
+                    });
+                })
+        ).then(() => undefined);
+    }
+
+    /**
+     * Remove the items of tags and their member sets from a cluster.
+     * Members are read per tag and deleted in one transaction per slot
+     * 
+     * @param {TagSet} tagset 
+     * @returns {Promise<void>}
+     * @memberof RedisDriver
+     */
+    flushTags(tagset) {
+        const keys = this.tagKeys(tagset);
+
+        return Promise.map(
+            keys,
+            key =>
+                new Promise((resolve, reject) => {
+                    this.redis.smembers(key, (err, refs) => {
+                        if (err) {
+                            return reject(err);
+                        }
+                        resolve(refs);
+                    });
+                })
+        ).then(members => {
+            const refs = new Set([].concat(...members));
+
+            return this.transact(
+                Array.from(refs)
+                    .concat(keys)
+                    .map(key => ['del', key])
+            );
         });
     }
 
@@ -320,7 +861,7 @@ module.exports = class RedisDriver extends Driver {
     has(key, tagset) {
         return new Promise((resolve, reject) => {
             if (tagset instanceof TagSet) {
-                key = tagset.ref(key);
+                key = this.ref(tagset, key);
             }
             this.redis.exists(key, (err, exists) => {
                 if (err) {
@@ -331,6 +872,126 @@ module.exports = class RedisDriver extends Driver {
         });
     }
 
+    /**
+     * Retrieve a page of stored keys by SCAN, or the members of the tags by SSCAN.
+     * The cursor moves through the master nodes of a cluster or through the tags one by one
+     * 
+     * @param {Array<any>} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: Array<any>, keys: Array<String>}>}
+     * @memberof RedisDriver
+     */
+    scan(cursor, pattern, tagset) {
+        const [index, position] = cursor || [0, '0'];
+        let sources, command, args, name;
+        if (tagset instanceof TagSet) {
+            sources = this.tagKeys(tagset);
+            command = 'sscan';
+            // members are references, preceded by a hash tag in a cluster
+            name = member =>
+                TagSet.key(String(member).replace(/^\{[^}]*\}/, ''));
+            args = [
+                sources[index],
+                position,
+                'MATCH',
+                `${this.cluster ? '{*}' : ''}${'?'.repeat(40)}:${pattern ||
+                    '*'}`
+            ];
+        } else {
+            sources = this.cluster ? this.redis.nodes('master') : [this.redis];
+            command = 'scan';
+            name = key => String(key).slice(this.prefix.length);
+            args = [position, 'MATCH', `${escape(this.prefix)}${pattern || '*'}`];
+        }
+        const client = tagset instanceof TagSet ? this.redis : sources[index];
+
+        return new Promise((resolve, reject) => {
+            client[command](...args, 'COUNT', PAGE, (err, reply) => {
+                if (err) {
+                    return reject(err);
+                }
+                const next =
+                    String(reply[0]) !== '0'
+                        ? [index, reply[0]]
+                        : index + 1 < sources.length
+                            ? [index + 1, '0']
+                            : undefined;
+                resolve({ cursor: next, keys: reply[1].map(name) });
+            });
+        });
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof RedisDriver
+     */
+    acquire(name, owner, seconds) {
+        return new Promise((resolve, reject) => {
+            this.redis.set(
+                `lock:${name}`,
+                owner,
+                'PX',
+                Math.max(1, Math.round(seconds * 1000)),
+                'NX',
+                (err, result) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(String(result) === 'OK');
+                }
+            );
+        });
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof RedisDriver
+     */
+    release(name, owner) {
+        return new Promise((resolve, reject) => {
+            this.redis.eval(
+                'if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) else return 0 end',
+                1,
+                `lock:${name}`,
+                owner,
+                (err, result) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    resolve(result === 1);
+                }
+            );
+        });
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof RedisDriver
+     */
+    forceRelease(name) {
+        return new Promise((resolve, reject) => {
+            this.redis.del(`lock:${name}`, err => {
+                if (err) {
+                    return reject(err);
+                }
+                resolve();
+            });
+        });
+    }
+
     /**
      * Dispose connection
      * 
@@ -338,6 +999,11 @@ module.exports = class RedisDriver extends Driver {
      * @memberof RedisDriver
      */
     dispose() {
+        if (this.watcher) {
+            this.watcher.quit();
+            delete this.watcher;
+        }
+
         return new Promise((resolve, reject) => {
             this.redis.quit(err => {
                 if (err) {
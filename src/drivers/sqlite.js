@@ -0,0 +1,646 @@
+const os = require('os');
+const path = require('path');
+const Promise = require('bluebird');
+const sqlite3 = require('sqlite3');
+const Driver = require('../driver');
+const TagSet = require('../tagset');
+
+const SCHEMA = [
+    'PRAGMA foreign_keys = ON',
+    `CREATE TABLE IF NOT EXISTS cache (
+        namespace TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value,
+        expiration INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (namespace, key)
+    )`,
+    `CREATE TABLE IF NOT EXISTS cache_tags (
+        namespace TEXT NOT NULL,
+        tag TEXT NOT NULL,
+        key TEXT NOT NULL,
+        PRIMARY KEY (namespace, tag, key),
+        FOREIGN KEY (namespace, key) REFERENCES cache (namespace, key) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX IF NOT EXISTS cache_tags_key ON cache_tags (namespace, key)',
+    `CREATE TABLE IF NOT EXISTS cache_locks (
+        namespace TEXT NOT NULL,
+        name TEXT NOT NULL,
+        owner TEXT NOT NULL,
+        expiration INTEGER NOT NULL,
+        PRIMARY KEY (namespace, name)
+    )`
+];
+
+const UPSERT =
+    'INSERT INTO cache (namespace, key, value, expiration) VALUES (?, ?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expiration = excluded.expiration';
+
+const ALIVE = '(expiration = 0 OR expiration > ?)';
+
+/**
+ * Number of keys retrieved by every scan
+ */
+const PAGE = 1000;
+
+module.exports = class SqliteDriver extends Driver {
+
+    /**
+     * Creates an instance of SqliteDriver.
+     * Expired entries and locks of the namespace are purged every interval, a minute by default.
+     * Statements wait up to the busy timeout, 5 seconds by default, for other connections to release the database
+     * 
+     * @param {{namespace?: String, serializer?: Serializer, driver: {filename?: String, mode?: Number, interval?: Number, busyTimeout?: Number}}} [options] 
+     */
+    constructor(options) {
+        super(options);
+        const driver = (options && options.driver) || {};
+        this.db = new sqlite3.Database(
+            driver.filename || path.join(os.tmpdir(), 'tagemup.sqlite'),
+            driver.mode || sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE
+        );
+        // other processes sharing the file hold its lock while they write
+        this.db.configure(
+            'busyTimeout',
+            driver.busyTimeout != null ? driver.busyTimeout : 5000
+        );
+        this.partition = this.namespace || '';
+        // every task waits for the schema, and fails with its error if it cannot be created
+        this.ready = Promise.each(SCHEMA, sql => this.query('run', sql));
+        this.queue = this.ready.catch(() => {});
+        this.timer = setInterval(
+            // a failed purge is tried again on the next interval
+            () => this.sweep().catch(() => {}),
+            driver.interval || 60000
+        );
+        if (this.timer.unref) {
+            this.timer.unref();
+        }
+    }
+
+    /**
+     * Run a task once all pending tasks are settled
+     * 
+     * @param {Function} task 
+     * @returns {Promise<any>}
+     * @memberof SqliteDriver
+     */
+    exclusive(task) {
+        const next = this.queue.then(() => this.ready).then(task);
+        this.queue = next.catch(() => {});
+
+        return next;
+    }
+
+    /**
+     * Execute a statement
+     * 
+     * @param {String} method one of 'run', 'get' and 'all' 
+     * @param {String} sql 
+     * @param {Array<any>} [params] 
+     * @returns {Promise<any>}
+     * @memberof SqliteDriver
+     */
+    query(method, sql, params) {
+        return new Promise((resolve, reject) => {
+            this.db[method](sql, params || [], function(err, result) {
+                if (err) {
+                    return reject(err);
+                }
+                resolve(method === 'run' ? this.changes : result);
+            });
+        });
+    }
+
+    /**
+     * Run a task inside a transaction
+     * 
+     * @param {Function} task 
+     * @returns {Promise<any>}
+     * @memberof SqliteDriver
+     */
+    transaction(task) {
+        return this.exclusive(() =>
+            this.query('run', 'BEGIN IMMEDIATE')
+                .then(task)
+                .then(
+                    result => this.query('run', 'COMMIT').then(() => result),
+                    err =>
+                        this.query('run', 'ROLLBACK').then(() => {
+                            throw err;
+                        })
+                )
+        );
+    }
+
+    /**
+     * Delete the expired entries and locks of the namespace, tags of entries are deleted along with them
+     * 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    sweep() {
+        const now = Date.now();
+
+        return this.transaction(() =>
+            this.query(
+                'run',
+                'DELETE FROM cache WHERE namespace = ? AND expiration > 0 AND expiration <= ?',
+                [this.partition, now]
+            ).then(() =>
+                this.query(
+                    'run',
+                    'DELETE FROM cache_locks WHERE namespace = ? AND expiration <= ?',
+                    [this.partition, now]
+                )
+            )
+        ).then(() => undefined);
+    }
+
+    /**
+     * Write an entry and its tags
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    write(key, value, ttl, tagset) {
+        const expiration = ttl ? Date.now() + ttl * 1000 : 0;
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.query('run', UPSERT, [
+            this.partition,
+            key,
+            this.serialize(value),
+            expiration
+        ]).then(() => this.tag(key, tagset));
+    }
+
+    /**
+     * Attach tags to a stored reference key
+     * 
+     * @param {String} ref 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    tag(ref, tagset) {
+        if (!(tagset instanceof TagSet)) {
+            return Promise.resolve();
+        }
+
+        return Promise.each(tagset.names, tag =>
+            this.query(
+                'run',
+                'INSERT OR IGNORE INTO cache_tags (namespace, tag, key) VALUES (?, ?, ?)',
+                [this.partition, tag, ref]
+            )
+        ).then(() => undefined);
+    }
+
+    /**
+     * Add an amount to an integer item, keeping its expiry
+     * 
+     * @param {String} key 
+     * @param {Number} amount 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @param {String} verb 
+     * @returns {Promise<Number>}
+     * @memberof SqliteDriver
+     */
+    adjust(key, amount, tagset, ttl, verb) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.transaction(() =>
+            this.query(
+                'get',
+                `SELECT value, expiration FROM cache WHERE namespace = ? AND key = ? AND ${ALIVE}`,
+                [this.partition, key, Date.now()]
+            ).then(row => {
+                let value = row ? this.deserialize(row.value) : 0;
+                if (typeof value !== 'number') {
+                    throw new Error(`cannot ${verb} a non-number value`);
+                }
+                value += amount;
+                let expiration = row ? row.expiration : 0;
+                if (!row && ttl) {
+                    expiration = Date.now() + ttl * 1000;
+                }
+
+                return this.query('run', UPSERT, [
+                    this.partition,
+                    key,
+                    this.serialize(value),
+                    expiration
+                ])
+                    .then(() => this.tag(key, tagset))
+                    .then(() => value);
+            })
+        );
+    }
+
+    /**
+     * Retrieve an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<any>}
+     * @memberof SqliteDriver
+     */
+    get(key, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.exclusive(() =>
+            this.query(
+                'get',
+                `SELECT value FROM cache WHERE namespace = ? AND key = ? AND ${ALIVE}`,
+                [this.partition, key, Date.now()]
+            )
+        ).then(row => row && this.decode(key, row.value));
+    }
+
+    /**
+     * Retrieve items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Array<any>>}
+     * @memberof SqliteDriver
+     */
+    getMany(keys, tagset) {
+        if (tagset instanceof TagSet) {
+            keys = keys.map(key => tagset.ref(key));
+        }
+
+        return this.exclusive(() =>
+            this.query(
+                'all',
+                `SELECT key, value FROM cache WHERE namespace = ? AND key IN (${keys
+                    .map(() => '?')
+                    .join(', ')}) AND ${ALIVE}`,
+                [this.partition, ...keys, Date.now()]
+            )
+        ).then(rows => {
+            const values = new Map(rows.map(row => [row.key, row.value]));
+
+            return keys.map(key => this.decode(key, values.get(key)));
+        });
+    }
+
+    /**
+     * Replace a stored value unless it has been changed meanwhile, keeping its expiry
+     * 
+     * @param {String} key 
+     * @param {any} previous 
+     * @param {any} next 
+     * @returns {Promise<Boolean>}
+     * @memberof SqliteDriver
+     */
+    rewrite(key, previous, next) {
+        return this.exclusive(() =>
+            this.query(
+                'run',
+                'UPDATE cache SET value = ? WHERE namespace = ? AND key = ? AND value = ?',
+                [next, this.partition, key, previous]
+            )
+        ).then(changes => changes > 0);
+    }
+
+    /**
+     * Store an item in the cache
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    put(key, value, ttl, tagset) {
+        return this.transaction(() => this.write(key, value, ttl, tagset));
+    }
+
+    /**
+     * Store items in the cache
+     * 
+     * @param {Array<{key:String, value:any}>} array 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    putMany(array, ttl, tagset) {
+        return this.transaction(() =>
+            Promise.each(array, item =>
+                this.write(item.key, item.value, ttl, tagset)
+            )
+        ).then(() => undefined);
+    }
+
+    /**
+     * Store an item unless an unexpired one exists
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof SqliteDriver
+     */
+    add(key, value, ttl, tagset) {
+        const now = Date.now();
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.transaction(() =>
+            this.query(
+                'run',
+                'INSERT INTO cache (namespace, key, value, expiration) VALUES (?, ?, ?, ?) ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expiration = excluded.expiration WHERE cache.expiration > 0 AND cache.expiration <= ?',
+                [
+                    this.partition,
+                    key,
+                    this.serialize(value),
+                    ttl ? now + ttl * 1000 : 0,
+                    now
+                ]
+            ).then(changes =>
+                changes === 1 ? this.tag(key, tagset).then(() => true) : false
+            )
+        );
+    }
+
+    /**
+     * Increase the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof SqliteDriver
+     */
+    increment(key, amount, tagset, ttl) {
+        return this.adjust(key, amount, tagset, ttl, 'increase');
+    }
+
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof SqliteDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.adjust(key, -amount, tagset, ttl, 'decrease');
+    }
+
+    /**
+     * Store an item in the cache permanently.
+     * It must be manually removed from the cache using the 'forget' method
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    forever(key, value, tagset) {
+        return this.put(key, value, 0, tagset);
+    }
+
+    /**
+     *  Remove an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    forget(key, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.exclusive(() =>
+            this.query('run', 'DELETE FROM cache WHERE namespace = ? AND key = ?', [
+                this.partition,
+                key
+            ])
+        ).then(() => undefined);
+    }
+
+    /**
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    forgetMany(keys, tagset) {
+        if (tagset instanceof TagSet) {
+            keys = keys.map(key => tagset.ref(key));
+        }
+
+        return this.exclusive(() =>
+            this.query(
+                'run',
+                `DELETE FROM cache WHERE namespace = ? AND key IN (${keys
+                    .map(() => '?')
+                    .join(', ')})`,
+                [this.partition, ...keys]
+            )
+        ).then(() => undefined);
+    }
+
+    /**
+     * Clear the entries of the namespace
+     * 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    flush(tagset) {
+        return this.exclusive(() => {
+            if (tagset instanceof TagSet) {
+                return this.query(
+                    'run',
+                    `DELETE FROM cache WHERE namespace = ? AND key IN (SELECT key FROM cache_tags WHERE namespace = ? AND tag IN (${tagset.names
+                        .map(() => '?')
+                        .join(', ')}))`,
+                    [this.partition, this.partition, ...tagset.names]
+                );
+            }
+
+            return this.query('run', 'DELETE FROM cache WHERE namespace = ?', [
+                this.partition
+            ]);
+        }).then(() => undefined);
+    }
+
+    /**
+     * Clear the entries of every namespace
+     * 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    flushAll() {
+        return this.exclusive(() => this.query('run', 'DELETE FROM cache')).then(
+            () => undefined
+        );
+    }
+
+    /**
+     * Determine if an item exists in the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof SqliteDriver
+     */
+    has(key, tagset) {
+        if (tagset instanceof TagSet) {
+            key = tagset.ref(key);
+        }
+
+        return this.exclusive(() =>
+            this.query(
+                'get',
+                `SELECT 1 AS found FROM cache WHERE namespace = ? AND key = ? AND ${ALIVE}`,
+                [this.partition, key, Date.now()]
+            )
+        ).then(row => row !== undefined);
+    }
+
+    /**
+     * Retrieve a page of stored keys in key order, the cursor is the last key of the previous page
+     * 
+     * @param {String} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: String, keys: Array<String>}>}
+     * @memberof SqliteDriver
+     */
+    scan(cursor, pattern, tagset) {
+        const tagged = tagset instanceof TagSet;
+
+        return this.exclusive(() =>
+            tagged
+                ? this.query(
+                    'all',
+                    `SELECT DISTINCT cache.key AS key FROM cache JOIN cache_tags ON cache_tags.namespace = cache.namespace AND cache_tags.key = cache.key WHERE cache.namespace = ? AND cache_tags.tag IN (${tagset.names
+                        .map(() => '?')
+                        .join(', ')}) AND cache.key > ? AND ${ALIVE} ORDER BY cache.key LIMIT ${PAGE}`,
+                    [
+                        this.partition,
+                        ...tagset.names,
+                        cursor || '',
+                        Date.now()
+                    ]
+                )
+                : this.query(
+                    'all',
+                    `SELECT key FROM cache WHERE namespace = ? AND key > ? AND ${ALIVE} ORDER BY key LIMIT ${PAGE}`,
+                    [this.partition, cursor || '', Date.now()]
+                )
+        ).then(rows => ({
+            cursor: rows.length === PAGE ? rows[rows.length - 1].key : undefined,
+            keys: rows.map(row => (tagged ? TagSet.key(row.key) : row.key))
+        }));
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof SqliteDriver
+     */
+    acquire(name, owner, seconds) {
+        const now = Date.now();
+
+        return this.transaction(() =>
+            this.query(
+                'run',
+                'DELETE FROM cache_locks WHERE namespace = ? AND name = ? AND expiration <= ?',
+                [this.partition, name, now]
+            ).then(() =>
+                this.query(
+                    'run',
+                    'INSERT OR IGNORE INTO cache_locks (namespace, name, owner, expiration) VALUES (?, ?, ?, ?)',
+                    [this.partition, name, owner, now + seconds * 1000]
+                )
+            )
+        ).then(changes => changes === 1);
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof SqliteDriver
+     */
+    release(name, owner) {
+        return this.exclusive(() =>
+            this.query(
+                'run',
+                'DELETE FROM cache_locks WHERE namespace = ? AND name = ? AND owner = ? AND expiration > ?',
+                [this.partition, name, owner, Date.now()]
+            )
+        ).then(changes => changes === 1);
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    forceRelease(name) {
+        return this.exclusive(() =>
+            this.query(
+                'run',
+                'DELETE FROM cache_locks WHERE namespace = ? AND name = ?',
+                [this.partition, name]
+            )
+        ).then(() => undefined);
+    }
+
+    /**
+     * Dispose connection
+     * 
+     * @returns {Promise<void>}
+     * @memberof SqliteDriver
+     */
+    dispose() {
+        clearInterval(this.timer);
+        delete this.timer;
+        // the connection is closed even if the schema could not be created
+        const next = this.queue.then(() =>
+            Promise.fromCallback(cb => this.db.close(cb))
+        );
+        this.queue = next.catch(() => {});
+
+        return next.then(() => {
+            delete this.db;
+        });
+    }
+
+};
@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const Driver = require('../driver');
+const TagSet = require('../tagset');
+const Bus = require('../bus');
+const MemoryDriver = require('./memory');
+
+/**
+ * Tell the other instances on the bus to drop their local copies
+ * 
+ * @param {TieredDriver} driver 
+ * @param {{keys?: Array<String>, tags?: Array<String>, flush?: Boolean}} message 
+ * @returns {Promise<void>}
+ */
+function announce(driver, message) {
+    if (!driver.bus) {
+        return Promise.resolve();
+    }
+
+    return Promise.resolve(
+        driver.bus.publish(Object.assign({ source: driver.id }, message))
+    );
+}
+
+/**
+ * Drop the local copies named by a message of another instance
+ * 
+ * @param {TieredDriver} driver 
+ * @param {{source: String, keys?: Array<String>, tags?: Array<String>, flush?: Boolean}} message 
+ * @returns {Promise<void>}
+ */
+function invalidate(driver, message) {
+    if (!message || message.source === driver.id) {
+        return Promise.resolve();
+    }
+    const tagset =
+        message.tags && message.tags.length
+            ? new TagSet(...message.tags)
+            : undefined;
+    if (message.flush) {
+        return driver.local.flush(tagset);
+    }
+
+    return driver.local.forgetMany(message.keys || [], tagset);
+}
+
+/**
+ * Get the tag names of a message
+ * 
+ * @param {TagSet} [tagset] 
+ * @returns {Array<String>}
+ */
+function tagsOf(tagset) {
+    return tagset instanceof TagSet ? tagset.names : undefined;
+}
+
+module.exports = class TieredDriver extends Driver {
+
+    /**
+     * Creates an instance of TieredDriver
+     * 
+     * Writes, removals and flushes are announced on the bus, so that every other instance drops its local copies
+     * 
+     * @param {{namespace?: String, serializer?: Serializer, driver: {remote: Driver, local?: Driver|{interval?: Number}, ttl?: Number, bus?: Bus}}} [options] 
+     */
+    constructor(options) {
+        super(options);
+        const driver = (options && options.driver) || {};
+        if (!(driver.remote instanceof Driver)) {
+            throw new Error('A valid remote driver must be provided');
+        }
+        this.remote = driver.remote;
+        this.local =
+            driver.local instanceof Driver
+                ? driver.local
+                : new MemoryDriver({
+                    serializer: this.serializer,
+                    driver: driver.local
+                });
+        this.ttl = driver.ttl || 5;
+        if (driver.bus !== undefined && !(driver.bus instanceof Bus)) {
+            throw new Error('A valid bus must be provided');
+        }
+        this.bus = driver.bus;
+        this.id = crypto.randomBytes(8).toString('hex');
+        if (this.bus) {
+            // a failed invalidation leaves the copy to expire by its local ttl
+            this.invalidation = message =>
+                invalidate(this, message).catch(() => {});
+            this.bus.on('message', this.invalidation);
+        }
+        // local copies expire by design, only remote expiries are announced
+        ['expired', 'evicted'].forEach(name =>
+            this.remote.on(name, event => this.emit(name, event))
+        );
+    }
+
+    /**
+     * Get the local ttl of an item
+     * 
+     * @param {Number} [ttl] 
+     * @returns {Number}
+     * @memberof TieredDriver
+     */
+    localTtl(ttl) {
+        return ttl ? Math.min(ttl, this.ttl) : this.ttl;
+    }
+
+    /**
+     * Retrieve an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<any>}
+     * @memberof TieredDriver
+     */
+    get(key, tagset) {
+        return this.local.get(key, tagset).then(value => {
+            if (value != null) {
+                return value;
+            }
+
+            return this.remote.get(key, tagset).then(value => {
+                if (value == null) {
+                    return value;
+                }
+
+                return this.local
+                    .put(key, value, this.ttl, tagset)
+                    .then(() => value);
+            });
+        });
+    }
+
+    /**
+     * Retrieve items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Array<any>>}
+     * @memberof TieredDriver
+     */
+    getMany(keys, tagset) {
+        return this.local.getMany(keys, tagset).then(values => {
+            const missing = [];
+            values.forEach((value, index) => {
+                if (value == null) {
+                    missing.push(index);
+                }
+            });
+            if (!missing.length) {
+                return values;
+            }
+
+            return this.remote.getMany(
+                missing.map(index => keys[index]),
+                tagset
+            ).then(found => {
+                const backfill = [];
+                missing.forEach((position, index) => {
+                    if (found[index] != null) {
+                        values[position] = found[index];
+                        backfill.push({
+                            key: keys[position],
+                            value: found[index]
+                        });
+                    }
+                });
+
+                return this.local
+                    .putMany(backfill, this.ttl, tagset)
+                    .then(() => values);
+            });
+        });
+    }
+
+    /**
+     * Store an item in the cache
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    put(key, value, ttl, tagset) {
+        return this.remote
+            .put(key, value, ttl, tagset)
+            .then(() => announce(this, { keys: [key], tags: tagsOf(tagset) }))
+            .then(() => this.local.put(key, value, this.localTtl(ttl), tagset))
+            .then(() => undefined);
+    }
+
+    /**
+     * Store items in the cache
+     * 
+     * @param {Array<{key:String, value:any}>} array 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    putMany(array, ttl, tagset) {
+        return this.remote
+            .putMany(array, ttl, tagset)
+            .then(() =>
+                announce(this, {
+                    keys: array.map(item => item.key),
+                    tags: tagsOf(tagset)
+                })
+            )
+            .then(() => this.local.putMany(array, this.localTtl(ttl), tagset))
+            .then(() => undefined);
+    }
+
+    /**
+     * Store an item unless it exists in the remote driver
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof TieredDriver
+     */
+    add(key, value, ttl, tagset) {
+        return this.remote.add(key, value, ttl, tagset).then(added => {
+            if (!added) {
+                return false;
+            }
+
+            return announce(this, { keys: [key], tags: tagsOf(tagset) })
+                .then(() =>
+                    this.local.put(key, value, this.localTtl(ttl), tagset)
+                )
+                .then(() => true);
+        });
+    }
+
+    /**
+     * Increase the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof TieredDriver
+     */
+    increment(key, amount, tagset, ttl) {
+        return this.remote
+            .increment(key, amount, tagset, ttl)
+            .then(value =>
+                announce(this, { keys: [key], tags: tagsOf(tagset) })
+                    .then(() => this.local.forget(key, tagset))
+                    .then(() => value)
+            );
+    }
+
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof TieredDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.remote
+            .decrement(key, amount, tagset, ttl)
+            .then(value =>
+                announce(this, { keys: [key], tags: tagsOf(tagset) })
+                    .then(() => this.local.forget(key, tagset))
+                    .then(() => value)
+            );
+    }
+
+    /**
+     * Store an item in the cache permanently.
+     * It must be manually removed from the cache using the 'forget' method
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    forever(key, value, tagset) {
+        return this.remote
+            .forever(key, value, tagset)
+            .then(() => announce(this, { keys: [key], tags: tagsOf(tagset) }))
+            .then(() => this.local.put(key, value, this.ttl, tagset))
+            .then(() => undefined);
+    }
+
+    /**
+     *  Remove an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    forget(key, tagset) {
+        return this.remote
+            .forget(key, tagset)
+            .then(() => announce(this, { keys: [key], tags: tagsOf(tagset) }))
+            .then(() => this.local.forget(key, tagset))
+            .then(() => undefined);
+    }
+
+    /**
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    forgetMany(keys, tagset) {
+        return this.remote
+            .forgetMany(keys, tagset)
+            .then(() => announce(this, { keys, tags: tagsOf(tagset) }))
+            .then(() => this.local.forgetMany(keys, tagset))
+            .then(() => undefined);
+    }
+
+    /**
+     * Clear the entire cache
+     * 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    flush(tagset) {
+        return this.remote
+            .flush(tagset)
+            .then(() => announce(this, { flush: true, tags: tagsOf(tagset) }))
+            .then(() => this.local.flush(tagset))
+            .then(() => undefined);
+    }
+
+    /**
+     * Clear the entire remote server and the local copies
+     * 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    flushAll() {
+        return this.remote
+            .flushAll()
+            .then(() => announce(this, { flush: true }))
+            .then(() => this.local.flushAll())
+            .then(() => undefined);
+    }
+
+    /**
+     * Determine if an item exists in the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof TieredDriver
+     */
+    has(key, tagset) {
+        return this.local
+            .has(key, tagset)
+            .then(exists => exists || this.remote.has(key, tagset));
+    }
+
+    /**
+     * Retrieve a page of keys stored by the remote driver
+     * 
+     * @param {any} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: any, keys: Array<String>}>}
+     * @memberof TieredDriver
+     */
+    scan(cursor, pattern, tagset) {
+        return this.remote.scan(cursor, pattern, tagset);
+    }
+
+    /**
+     * Acquire a lock on the remote driver
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof TieredDriver
+     */
+    acquire(name, owner, seconds) {
+        return this.remote.acquire(name, owner, seconds);
+    }
+
+    /**
+     * Release a lock on the remote driver
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof TieredDriver
+     */
+    release(name, owner) {
+        return this.remote.release(name, owner);
+    }
+
+    /**
+     * Release a lock regardless of its owner on the remote driver
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    forceRelease(name) {
+        return this.remote.forceRelease(name);
+    }
+
+    /**
+     * Dispose both tiers and the bus
+     * 
+     * @returns {Promise<void>}
+     * @memberof TieredDriver
+     */
+    dispose() {
+        const disposals = [this.local.dispose(), this.remote.dispose()];
+        if (this.bus) {
+            this.bus.removeListener('message', this.invalidation);
+            disposals.push(this.bus.dispose());
+        }
+
+        return Promise.all(disposals).then(() => undefined);
+    }
+
+};
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const Driver = require('../driver');
+const TagSet = require('../tagset');
+
+/**
+ * Prefix of the stored tag versions, reserved so that they do not share the key space of items
+ */
+const VERSIONS = 'tagemup:version:';
+
+/**
+ * Milliseconds for which a process reuses the version of a tag before reading it again
+ */
+const REFRESH = 1000;
+
+/**
+ * Generate a new tag version
+ * 
+ * @returns {String}
+ */
+function version() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Keep the version of a tag for a moment, a version which cannot be read is read again on the next call
+ * 
+ * @param {VersionedDriver} driver 
+ * @param {String} key version key 
+ * @param {Promise<String>} promise 
+ */
+function remember(driver, key, promise) {
+    const cached = { promise, expires: Date.now() + driver.refresh };
+    driver.cached.set(key, cached);
+    promise.catch(() => {
+        if (driver.cached.get(key) === cached) {
+            driver.cached.delete(key);
+        }
+    });
+}
+
+/**
+ * Create the missing version of a tag.
+ * It is only added if it is still missing, and the version stored by another writer is read back otherwise
+ * 
+ * @param {VersionedDriver} driver 
+ * @param {String} key version key 
+ * @returns {Promise<String>}
+ */
+function initialize(driver, key) {
+    const next = version();
+
+    return driver.driver.add(key, next).then(added =>
+        added
+            ? next
+            : driver.driver
+                .get(key)
+                .then(current => current || initialize(driver, key))
+    );
+}
+
+/**
+ * Tags every item by the current versions of its tags instead of tracking tag members.
+ * Flushing a tag only bumps its version, entries stored under older versions are never read again and expire by their ttl.
+ * Versions are reused for a moment, so that a flush by another process can take that long to be seen
+ */
+module.exports = class VersionedDriver extends Driver {
+
+    /**
+     * Creates an instance of VersionedDriver
+     * 
+     * @param {{driver: Driver, refresh?: Number}} options refresh is the number of milliseconds for which versions are reused, 1000 by default
+     */
+    constructor(options) {
+        const driver = options && options.driver;
+        if (!(driver instanceof Driver)) {
+            throw new Error('A valid driver must be provided');
+        }
+        super({ namespace: driver.namespace, serializer: driver.serializer });
+        this.driver = driver;
+        this.refresh = options.refresh != null ? options.refresh : REFRESH;
+        this.cached = new Map();
+        ['expired', 'evicted'].forEach(name =>
+            this.driver.on(name, event => this.emit(name, event))
+        );
+    }
+
+    /**
+     * Get the stored version keys of a tagset
+     * 
+     * @param {TagSet} tagset 
+     * @returns {Array<String>}
+     * @memberof VersionedDriver
+     */
+    versionKeys(tagset) {
+        return tagset.names.map(name => `${VERSIONS}${name}`);
+    }
+
+    /**
+     * Get the current versions of a tagset, initializing missing ones.
+     * Versions which are not reused any more are read in one call
+     * 
+     * @param {TagSet} tagset 
+     * @returns {Promise<Array<String>>}
+     * @memberof VersionedDriver
+     */
+    versions(tagset) {
+        const keys = this.versionKeys(tagset);
+        const now = Date.now();
+        const stale = keys.filter(key => {
+            const cached = this.cached.get(key);
+
+            return !cached || cached.expires <= now;
+        });
+        if (stale.length) {
+            const versions = this.driver
+                .getMany(stale)
+                .then(values =>
+                    Promise.map(
+                        stale,
+                        (key, index) => values[index] || initialize(this, key)
+                    )
+                );
+            stale.forEach((key, index) =>
+                remember(this, key, versions.then(values => values[index]))
+            );
+        }
+
+        return Promise.all(keys.map(key => this.cached.get(key).promise));
+    }
+
+    /**
+     * Get the versioned reference keys
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Array<String>>}
+     * @memberof VersionedDriver
+     */
+    refs(keys, tagset) {
+        if (!(tagset instanceof TagSet)) {
+            return Promise.resolve(keys);
+        }
+
+        return this.versions(tagset).then(versions =>
+            keys.map(key => tagset.ref(key, versions))
+        );
+    }
+
+    /**
+     * Retrieve an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<any>}
+     * @memberof VersionedDriver
+     */
+    get(key, tagset) {
+        return this.refs([key], tagset).then(([ref]) => this.driver.get(ref));
+    }
+
+    /**
+     * Retrieve items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Array<any>>}
+     * @memberof VersionedDriver
+     */
+    getMany(keys, tagset) {
+        return this.refs(keys, tagset).then(refs => this.driver.getMany(refs));
+    }
+
+    /**
+     * Store an item in the cache
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    put(key, value, ttl, tagset) {
+        return this.refs([key], tagset).then(([ref]) =>
+            this.driver.put(ref, value, ttl)
+        );
+    }
+
+    /**
+     * Store items in the cache
+     * 
+     * @param {Array<{key:String, value:any}>} array 
+     * @param {Number} ttl 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    putMany(array, ttl, tagset) {
+        return this.refs(array.map(item => item.key), tagset).then(refs =>
+            this.driver.putMany(
+                array.map((item, index) => ({
+                    key: refs[index],
+                    value: item.value
+                })),
+                ttl
+            )
+        );
+    }
+
+    /**
+     * Store an item unless it exists
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {Number} [ttl] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof VersionedDriver
+     */
+    add(key, value, ttl, tagset) {
+        return this.refs([key], tagset).then(([ref]) =>
+            this.driver.add(ref, value, ttl)
+        );
+    }
+
+    /**
+     * Increase the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof VersionedDriver
+     */
+    increment(key, amount, tagset, ttl) {
+        return this.refs([key], tagset).then(([ref]) =>
+            this.driver.increment(ref, amount, undefined, ttl)
+        );
+    }
+
+    /**
+     * Decrease the value of an integer item
+     * 
+     * @param {String} key 
+     * @param {Number} [amount] 
+     * @param {TagSet} [tagset] 
+     * @param {Number} [ttl] seconds to keep a counter created by this call 
+     * @returns {Promise<Number>}
+     * @memberof VersionedDriver
+     */
+    decrement(key, amount, tagset, ttl) {
+        return this.refs([key], tagset).then(([ref]) =>
+            this.driver.decrement(ref, amount, undefined, ttl)
+        );
+    }
+
+    /**
+     * Store an item in the cache permanently.
+     * It must be manually removed from the cache using the 'forget' method
+     * 
+     * @param {String} key 
+     * @param {any} value 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    forever(key, value, tagset) {
+        return this.refs([key], tagset).then(([ref]) =>
+            this.driver.forever(ref, value)
+        );
+    }
+
+    /**
+     *  Remove an item from the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    forget(key, tagset) {
+        return this.refs([key], tagset).then(([ref]) =>
+            this.driver.forget(ref)
+        );
+    }
+
+    /**
+     * Remove items from the cache
+     * 
+     * @param {Array<String>} keys 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    forgetMany(keys, tagset) {
+        return this.refs(keys, tagset).then(refs =>
+            this.driver.forgetMany(refs)
+        );
+    }
+
+    /**
+     * Clear the entire cache, or bump the versions of the given tags.
+     * New versions are seen at once by this process and once the versions are read again by others
+     * 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    flush(tagset) {
+        if (!(tagset instanceof TagSet)) {
+            this.cached.clear();
+
+            return this.driver.flush();
+        }
+
+        return Promise.map(this.versionKeys(tagset), key => {
+            const next = version();
+
+            return this.driver
+                .forever(key, next)
+                .then(() => remember(this, key, Promise.resolve(next)));
+        }).then(() => undefined);
+    }
+
+    /**
+     * Clear the entire server of the driver, including other namespaces
+     * 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    flushAll() {
+        this.cached.clear();
+
+        return this.driver.flushAll();
+    }
+
+    /**
+     * Determine if an item exists in the cache
+     * 
+     * @param {String} key 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<Boolean>}
+     * @memberof VersionedDriver
+     */
+    has(key, tagset) {
+        return this.refs([key], tagset).then(([ref]) => this.driver.has(ref));
+    }
+
+    /**
+     * Retrieve a page of stored keys.
+     * Tagged items are found by the reference prefix of the current tag versions, so only the items stored under exactly the given tags are retrieved.
+     * Stored tag versions are left out of the keys of the namespace
+     * 
+     * @param {any} [cursor] 
+     * @param {String} [pattern] 
+     * @param {TagSet} [tagset] 
+     * @returns {Promise<{cursor: any, keys: Array<String>}>}
+     * @memberof VersionedDriver
+     */
+    scan(cursor, pattern, tagset) {
+        if (!(tagset instanceof TagSet)) {
+            return this.driver.scan(cursor, pattern).then(page => ({
+                cursor: page.cursor,
+                keys: page.keys.filter(key => !key.startsWith(VERSIONS))
+            }));
+        }
+
+        return this.refs([''], tagset).then(([prefix]) =>
+            this.driver
+                .scan(cursor, `${prefix}${pattern || '*'}`)
+                .then(page => ({
+                    cursor: page.cursor,
+                    keys: page.keys
+                        .filter(key => key.startsWith(prefix))
+                        .map(key => key.slice(prefix.length))
+                }))
+        );
+    }
+
+    /**
+     * Acquire a lock if it is not held by anyone else
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @param {Number} seconds 
+     * @returns {Promise<Boolean>}
+     * @memberof VersionedDriver
+     */
+    acquire(name, owner, seconds) {
+        return this.driver.acquire(name, owner, seconds);
+    }
+
+    /**
+     * Release a lock if it is held by the given owner
+     * 
+     * @param {String} name 
+     * @param {String} owner 
+     * @returns {Promise<Boolean>}
+     * @memberof VersionedDriver
+     */
+    release(name, owner) {
+        return this.driver.release(name, owner);
+    }
+
+    /**
+     * Release a lock regardless of its owner
+     * 
+     * @param {String} name 
+     * @returns {Promise<void>}
+     * @memberof VersionedDriver
+     */
+    forceRelease(name) {
+        return this.driver.forceRelease(name);
+    }
+
+    /**
+     * Dispose connection
+     * 
+     * @returns {Promise<any>}
+     * @memberof VersionedDriver
+     */
+    dispose() {
+        return this.driver.dispose();
+    }
+
+};
@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const Promise = require('bluebird');
+const Driver = require('./driver');
+
+module.exports = class Lock {
+
+    /**
+     * Creates an instance of Lock
+     * 
+     * @param {Driver} driver 
+     * @param {String} name 
+     * @param {Number} seconds 
+     * @param {String} [owner] 
+     * @memberof Lock
+     */
+    constructor(driver, name, seconds, owner) {
+        if (!(driver instanceof Driver)) {
+            throw new Error('Invalid driver');
+        }
+        this.driver = driver;
+        this.name = name;
+        this.seconds = seconds;
+        this.token = owner || crypto.randomBytes(16).toString('hex');
+    }
+
+    /**
+     * Attempt to acquire the lock.
+     * If a callback is given, it is called once the lock is acquired and the lock is released afterwards
+     * 
+     * @param {Function} [callback] 
+     * @returns {Promise<any>} the result of the callback, or whether the lock is acquired
+     * @memberof Lock
+     */
+    get(callback) {
+        return this.driver
+            .acquire(this.name, this.token, this.seconds)
+            .then(acquired => {
+                if (!acquired || typeof callback !== 'function') {
+                    return acquired;
+                }
+
+                return Promise.try(callback).finally(() => this.release());
+            });
+    }
+
+    /**
+     * Attempt to acquire the lock for the given number of seconds
+     * 
+     * @param {Number} seconds 
+     * @param {Function} [callback] 
+     * @param {Number} [interval=250] milliseconds between attempts 
+     * @returns {Promise<any>} the result of the callback, or true
+     * @memberof Lock
+     */
+    block(seconds, callback, interval = 250) {
+        const deadline = Date.now() + seconds * 1000;
+        const attempt = () =>
+            this.driver
+                .acquire(this.name, this.token, this.seconds)
+                .then(acquired => {
+                    if (acquired) {
+                        return true;
+                    }
+                    if (Date.now() + interval > deadline) {
+                        throw new Error(
+                            `Unable to acquire lock '${this.name}' within ${seconds} seconds`
+                        );
+                    }
+
+                    return Promise.delay(interval).then(attempt);
+                });
+
+        return attempt().then(() => {
+            if (typeof callback !== 'function') {
+                return true;
+            }
+
+            return Promise.try(callback).finally(() => this.release());
+        });
+    }
+
+    /**
+     * Release the lock if it is held by this owner
+     * 
+     * @returns {Promise<Boolean>}
+     * @memberof Lock
+     */
+    release() {
+        return this.driver.release(this.name, this.token);
+    }
+
+    /**
+     * Release the lock regardless of its owner
+     * 
+     * @returns {Promise<void>}
+     * @memberof Lock
+     */
+    forceRelease() {
+        return this.driver.forceRelease(this.name);
+    }
+
+    /**
+     * Get the owner token, which can be used to restore the lock in another process
+     * 
+     * @returns {String}
+     * @memberof Lock
+     */
+    owner() {
+        return this.token;
+    }
+
+};
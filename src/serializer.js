@@ -5,20 +5,49 @@ module.exports = class Serializer {
      * Serialize a value
      * 
      * @param {any} value 
-     * @returns {String}
+     * @returns {String|Buffer}
      */
     serialize(value) {
         throw new Error('NOT IMPLEMENTED');
     }
 
     /**
-     * Deserialize a string
+     * Deserialize a string or a Buffer
      * 
-     * @param {String} value 
+     * @param {String|Buffer} value 
      * @returns {any}
      */
     deserialize(value) {
         throw new Error('NOT IMPLEMENTED');
     }
 
+    /**
+     * Determine if serialized values can be Buffers,
+     * in which case drivers store them as binary values and read them back as Buffers
+     * 
+     * @readonly
+     */
+    get binary() {
+        return false;
+    }
+
+    /**
+     * Determine if stored values should be rewritten once they are outdated
+     * 
+     * @readonly
+     */
+    get rewrites() {
+        return false;
+    }
+
+    /**
+     * Determine if a stored value is written in an outdated format
+     * 
+     * @param {String} value 
+     * @returns {Boolean}
+     */
+    outdated(value) {
+        return false;
+    }
+
 };
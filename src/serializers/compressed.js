@@ -0,0 +1,134 @@
+const zlib = require('zlib');
+const Serializer = require('../serializer');
+
+/**
+ * Header marker of compressed payloads, serialized json and msgpack never start with a control character
+ */
+const MARKER = '\u0001';
+
+const ALGORITHMS = {
+    gzip: { id: 'g', compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+    deflate: {
+        id: 'd',
+        compress: zlib.deflateSync,
+        decompress: zlib.inflateSync
+    },
+    brotli: {
+        id: 'b',
+        compress: zlib.brotliCompressSync,
+        decompress: zlib.brotliDecompressSync
+    }
+};
+
+/**
+ * Get the algorithm of a payload by its id, payloads are decoded by their own algorithm so that the algorithm can be changed at any time
+ * 
+ * @param {String} id 
+ * @returns {{id: String, compress: Function, decompress: Function}}
+ */
+function findAlgorithm(id) {
+    const algorithm = Object.keys(ALGORITHMS)
+        .map(name => ALGORITHMS[name])
+        .find(a => a.id === id);
+    if (!algorithm) {
+        throw new Error('Unknown compression algorithm');
+    }
+
+    return algorithm;
+}
+
+module.exports = class CompressedSerializer extends Serializer {
+
+    /**
+     * Creates an instance of CompressedSerializer.
+     * Payloads of at least `threshold` bytes are compressed and stored as a marked base64 string, or as marked bytes if they are binary
+     * 
+     * @param {{serializer: Serializer, algorithm?: String, threshold?: Number}} options 
+     */
+    constructor(options) {
+        super();
+        const { serializer, algorithm = 'gzip', threshold = 1024 } =
+            options || {};
+        if (!(serializer instanceof Serializer)) {
+            throw new Error('A valid serializer must be provided');
+        }
+        if (!ALGORITHMS[algorithm]) {
+            throw new Error('Unknown compression algorithm');
+        }
+        this.serializer = serializer;
+        this.algorithm = ALGORITHMS[algorithm];
+        this.threshold = threshold;
+    }
+
+    serialize(value) {
+        const data = this.serializer.serialize(value);
+        if (Buffer.isBuffer(data)) {
+            if (data.length < this.threshold) {
+                return data;
+            }
+            const compressed = Buffer.concat([
+                Buffer.from(`${MARKER}${this.algorithm.id}`),
+                this.algorithm.compress(data)
+            ]);
+
+            return compressed.length < data.length ? compressed : data;
+        }
+        if (
+            typeof data !== 'string' ||
+            Buffer.byteLength(data) < this.threshold
+        ) {
+            return data;
+        }
+        const compressed = `${MARKER}${this.algorithm.id}${this.algorithm
+            .compress(data)
+            .toString('base64')}`;
+
+        // incompressible payloads are kept as they are
+        return compressed.length < data.length ? compressed : data;
+    }
+
+    deserialize(value) {
+        return this.serializer.deserialize(this.decompress(value));
+    }
+
+    get binary() {
+        return this.serializer.binary;
+    }
+
+    get rewrites() {
+        return this.serializer.rewrites;
+    }
+
+    outdated(value) {
+        return this.serializer.outdated(this.decompress(value));
+    }
+
+    /**
+     * Decompress a payload if it is compressed.
+     * Binary payloads are marked by the same bytes and stay binary
+     * 
+     * @param {String|Buffer} value 
+     * @returns {String|Buffer}
+     * @memberof CompressedSerializer
+     */
+    decompress(value) {
+        if (typeof value === 'string' && value[0] === MARKER) {
+            return findAlgorithm(value[1])
+                .decompress(Buffer.from(value.slice(2), 'base64'))
+                .toString();
+        }
+        // msgpack payloads of more than one byte never start with the marker
+        if (
+            Buffer.isBuffer(value) &&
+            value.length > 2 &&
+            value[0] === MARKER.charCodeAt(0)
+        ) {
+            return findAlgorithm(String.fromCharCode(value[1])).decompress(
+                value.slice(2)
+            );
+        }
+
+        return value;
+    }
+
+};
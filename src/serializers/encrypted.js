@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const Serializer = require('../serializer');
+
+/**
+ * Header marker of encrypted payloads, which also ends the key ids of payloads written by earlier versions
+ */
+const MARKER = '\u0002';
+
+/**
+ * End of the key id of payloads which authenticate their key id
+ */
+const BOUND = '\u0003';
+
+/**
+ * Length of the initialization vector and of the authentication tag
+ */
+const IV = 12;
+const TAG = 16;
+
+/**
+ * Read a 256 bit key given as a Buffer, a hex string or a base64 string
+ * 
+ * @param {Buffer|String} key 
+ * @returns {Buffer}
+ */
+function parseKey(key) {
+    if (typeof key === 'string') {
+        key = Buffer.from(
+            key,
+            /^[0-9a-f]{64}$/i.test(key) ? 'hex' : 'base64'
+        );
+    }
+    if (!Buffer.isBuffer(key) || key.length !== 32) {
+        throw new Error('Encryption keys must be 32 bytes');
+    }
+
+    return key;
+}
+
+/**
+ * Find the end of the key id of a payload
+ * 
+ * @param {String|Buffer} value 
+ * @returns {Number} -1 if there is none
+ */
+function separatorOf(value) {
+    const ends = [MARKER, BOUND]
+        .map(end => value.indexOf(end, 1))
+        .filter(index => index > 0);
+
+    return ends.length ? Math.min(...ends) : -1;
+}
+
+/**
+ * Split a payload into its key id and the encrypted bytes.
+ * Text payloads carry the bytes in base64, binary payloads carry them as they are
+ * 
+ * @param {String|Buffer} value 
+ * @returns {{id: String, bound: Boolean, payload: Buffer}} undefined if the payload is not encrypted
+ */
+function parsePayload(value) {
+    if (typeof value === 'string' && value[0] === MARKER) {
+        const separator = separatorOf(value);
+
+        return separator > 0
+            ? {
+                id: value.slice(1, separator),
+                bound: value[separator] === BOUND,
+                payload: Buffer.from(value.slice(separator + 1), 'base64')
+            }
+            : undefined;
+    }
+    if (Buffer.isBuffer(value) && value[0] === MARKER.charCodeAt(0)) {
+        const separator = separatorOf(value);
+
+        return separator > 0
+            ? {
+                id: value.slice(1, separator).toString(),
+                bound: value[separator] === BOUND.charCodeAt(0),
+                payload: value.slice(separator + 1)
+            }
+            : undefined;
+    }
+
+    return undefined;
+}
+
+module.exports = class EncryptedSerializer extends Serializer {
+
+    /**
+     * Creates an instance of EncryptedSerializer.
+     * Payloads are encrypted with AES-256-GCM under the current key and can be decrypted by any key of the ring.
+     * The key id is authenticated along with the payload, payloads of earlier versions without it are still read
+     * 
+     * @param {{serializer: Serializer, keys: Object<String, Buffer|String>, current?: String}} options 
+     */
+    constructor(options) {
+        super();
+        const { serializer, keys, current } = options || {};
+        if (!(serializer instanceof Serializer)) {
+            throw new Error('A valid serializer must be provided');
+        }
+        if (!keys || typeof keys !== 'object' || !Object.keys(keys).length) {
+            throw new Error('Encryption keys must be provided');
+        }
+        this.serializer = serializer;
+        this.keys = new Map();
+        Object.keys(keys).forEach(id => {
+            if (id.indexOf(MARKER) >= 0 || id.indexOf(BOUND) >= 0) {
+                throw new Error('Invalid encryption key id');
+            }
+            this.keys.set(id, parseKey(keys[id]));
+        });
+        this.current = current || Object.keys(keys)[0];
+        if (!this.keys.has(this.current)) {
+            throw new Error('Unknown current encryption key');
+        }
+    }
+
+    serialize(value) {
+        const data = this.serializer.serialize(value);
+        if (data === undefined) {
+            return data;
+        }
+        const iv = crypto.randomBytes(IV);
+        const cipher = crypto.createCipheriv(
+            'aes-256-gcm',
+            this.keys.get(this.current),
+            iv,
+            { authTagLength: TAG }
+        );
+        cipher.setAAD(Buffer.from(this.current));
+        const encrypted = Buffer.concat([
+            Buffer.isBuffer(data)
+                ? cipher.update(data)
+                : cipher.update(String(data), 'utf8'),
+            cipher.final()
+        ]);
+        const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+        if (this.serializer.binary) {
+            return Buffer.concat([
+                Buffer.from(`${MARKER}${this.current}${BOUND}`),
+                payload
+            ]);
+        }
+
+        return `${MARKER}${this.current}${BOUND}${payload.toString('base64')}`;
+    }
+
+    /**
+     * Decrypt and deserialize a value.
+     * Values which are not encrypted by a known key or fail authentication are treated as missing
+     * 
+     * @param {String} value 
+     * @returns {any}
+     */
+    deserialize(value) {
+        const data = this.decrypt(value);
+
+        return data === undefined ? data : this.serializer.deserialize(data);
+    }
+
+    get binary() {
+        return this.serializer.binary;
+    }
+
+    get rewrites() {
+        return this.serializer.rewrites;
+    }
+
+    outdated(value) {
+        const data = this.decrypt(value);
+        const parsed = parsePayload(value);
+
+        return (
+            data !== undefined &&
+            (!parsed.bound || this.serializer.outdated(data))
+        );
+    }
+
+    /**
+     * Decrypt a payload
+     * 
+     * @param {String|Buffer} value 
+     * @returns {String|Buffer} undefined if the payload is not encrypted by a known key, is truncated or fails authentication
+     * @memberof EncryptedSerializer
+     */
+    decrypt(value) {
+        const parsed = parsePayload(value);
+        const key = parsed && this.keys.get(parsed.id);
+        if (!key || parsed.payload.length < IV + TAG) {
+            return undefined;
+        }
+        const payload = parsed.payload;
+        try {
+            const decipher = crypto.createDecipheriv(
+                'aes-256-gcm',
+                key,
+                payload.slice(0, IV),
+                { authTagLength: TAG }
+            );
+            decipher.setAuthTag(payload.slice(IV, IV + TAG));
+            if (parsed.bound) {
+                decipher.setAAD(Buffer.from(parsed.id));
+            }
+
+            const data = Buffer.concat([
+                decipher.update(payload.slice(IV + TAG)),
+                decipher.final()
+            ]);
+
+            return this.serializer.binary ? data : data.toString('utf8');
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+};
@@ -1,25 +1,67 @@
 const Serializer = require('../serializer');
-const msgpack = require('msgpack5')();
+const msgpack5 = require('msgpack5');
 
-msgpack.register(
-    0x0d,
-    Date,
-    date => Buffer.from(date.toJSON()),
-    buf => new Date(buf.toString())
-);
+/**
+ * Determine if a payload is written as a hex string by earlier versions.
+ * A msgpack payload starting with a byte which is a hex digit in ASCII is a single positive integer of one byte
+ * 
+ * @param {Buffer} value 
+ * @returns {Boolean}
+ */
+function isHex(value) {
+    return (
+        value.length > 1 &&
+        ((value[0] >= 0x30 && value[0] <= 0x39) ||
+            (value[0] >= 0x61 && value[0] <= 0x66))
+    );
+}
 
 module.exports = class MsgpackSerializer extends Serializer {
 
+    constructor() {
+        super();
+        this.msgpack = msgpack5();
+        this.register(
+            0x0d,
+            Date,
+            date => Buffer.from(date.toJSON()),
+            buf => new Date(buf.toString())
+        );
+    }
+
+    /**
+     * Register an extension type for instances of a class
+     * 
+     * @param {Number} type extension type between 0 and 127 
+     * @param {Function} constructor 
+     * @param {Function} encode turns an instance into a Buffer 
+     * @param {Function} decode turns a Buffer back into an instance 
+     * @memberof MsgpackSerializer
+     */
+    register(type, constructor, encode, decode) {
+        this.msgpack.register(type, constructor, encode, decode);
+    }
+
+    get binary() {
+        return true;
+    }
+
     serialize(value) {
-        return value !== undefined
-            ? msgpack.encode(value).toString('hex')
-            : value;
+        return value !== undefined ? this.msgpack.encode(value).slice() : value;
     }
 
     deserialize(value) {
-        return typeof value === 'string'
-            ? msgpack.decode(new Buffer(value, 'hex'))
-            : value;
+        // hex strings are still read, so that entries written by earlier versions do not need a flush
+        if (typeof value === 'string') {
+            return this.msgpack.decode(Buffer.from(value, 'hex'));
+        }
+        if (Buffer.isBuffer(value)) {
+            return this.msgpack.decode(
+                isHex(value) ? Buffer.from(value.toString(), 'hex') : value
+            );
+        }
+
+        return value;
     }
 
 };
@@ -0,0 +1,190 @@
+const Serializer = require('../serializer');
+
+/**
+ * Header marker of payloads carrying their format name
+ */
+const MARKER = '\u0003';
+
+/**
+ * Payloads which read as the same integer in every numeric format
+ */
+const INTEGER = /^-?\d+$/;
+
+/**
+ * Determine if a serializer writes integers as plain decimal strings
+ * 
+ * @param {Serializer} serializer 
+ * @returns {Boolean}
+ */
+function isNumeric(serializer) {
+    const value = serializer.serialize(1);
+
+    return value === 1 || value === '1';
+}
+
+/**
+ * Deserialize a payload, handing text serializers a string
+ * 
+ * @param {Serializer} serializer 
+ * @param {String|Buffer} value 
+ * @returns {any}
+ */
+function read(serializer, value) {
+    return serializer.deserialize(
+        Buffer.isBuffer(value) && !serializer.binary ? value.toString() : value
+    );
+}
+
+module.exports = class MultiFormatSerializer extends Serializer {
+
+    /**
+     * Creates an instance of MultiFormatSerializer.
+     * Payloads are written by the given serializer with a header naming its format,
+     * and read by the serializer of the format in their header.
+     * Payloads without a header are read by the first serializer able to decode them, trying the readers in order
+     * 
+     * @param {{serializer: Serializer, format: String, readers?: Map<String, Serializer>, header?: Boolean, reencode?: Boolean}} options 
+     */
+    constructor(options) {
+        super();
+        const { serializer, format, readers, header = true, reencode } =
+            options || {};
+        if (!(serializer instanceof Serializer)) {
+            throw new Error('A valid serializer must be provided');
+        }
+        if (!format || String(format).indexOf(MARKER) >= 0) {
+            throw new Error('A valid format name must be provided');
+        }
+        this.serializer = serializer;
+        this.format = format;
+        this.readers = new Map(readers || []);
+        this.readers.delete(format);
+        this.header = header;
+        this.reencode = !!reencode;
+        // integers are left bare so that backends can update counters in place, unless another reader would misread them
+        this.bare =
+            isNumeric(serializer) &&
+            Array.from(this.readers.values()).every(isNumeric);
+    }
+
+    serialize(value) {
+        const data = this.serializer.serialize(value);
+        if (Buffer.isBuffer(data) && this.header) {
+            return Buffer.concat([
+                Buffer.from(`${MARKER}${this.format}${MARKER}`),
+                data
+            ]);
+        }
+        if (
+            typeof data !== 'string' ||
+            !this.header ||
+            (this.bare && INTEGER.test(data))
+        ) {
+            return data;
+        }
+
+        return `${MARKER}${this.format}${MARKER}${data}`;
+    }
+
+    /**
+     * Deserialize a value by the serializer of its format.
+     * Values of unknown formats are treated as missing
+     * 
+     * @param {String|Buffer} value 
+     * @returns {any}
+     */
+    deserialize(value) {
+        if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+            return this.serializer.deserialize(value);
+        }
+        const format = this.formatOf(value);
+        if (format !== undefined) {
+            const serializer =
+                format === this.format
+                    ? this.serializer
+                    : this.readers.get(format);
+
+            const length = Buffer.isBuffer(value)
+                ? Buffer.byteLength(format)
+                : format.length;
+
+            return serializer
+                ? read(serializer, value.slice(length + 2))
+                : undefined;
+        }
+        // payloads without a header are written by the current serializer only if headers are off
+        const candidates = Array.from(this.readers.values());
+        if (this.header) {
+            candidates.push(this.serializer);
+        } else {
+            candidates.unshift(this.serializer);
+        }
+        let error;
+        for (const serializer of candidates) {
+            try {
+                return read(serializer, value);
+            } catch (err) {
+                error = err;
+            }
+        }
+        throw error;
+    }
+
+    /**
+     * Payloads are handed over as Buffers if any of the formats is binary
+     * 
+     * @readonly
+     * @memberof MultiFormatSerializer
+     */
+    get binary() {
+        return (
+            this.serializer.binary ||
+            Array.from(this.readers.values()).some(reader => reader.binary)
+        );
+    }
+
+    get rewrites() {
+        return this.reencode;
+    }
+
+    outdated(value) {
+        if (
+            !this.reencode ||
+            !this.header ||
+            (typeof value !== 'string' && !Buffer.isBuffer(value))
+        ) {
+            return false;
+        }
+        const format = this.formatOf(value);
+        if (format === undefined) {
+            return !(this.bare && INTEGER.test(value.toString()));
+        }
+
+        return format !== this.format && this.readers.has(format);
+    }
+
+    /**
+     * Get the format name in the header of a payload
+     * 
+     * @param {String|Buffer} value 
+     * @returns {String} undefined if the payload has no header
+     * @memberof MultiFormatSerializer
+     */
+    formatOf(value) {
+        if (Buffer.isBuffer(value)) {
+            if (value[0] !== MARKER.charCodeAt(0)) {
+                return undefined;
+            }
+            const end = value.indexOf(MARKER, 1);
+
+            return end > 0 ? value.slice(1, end).toString() : undefined;
+        }
+        if (value[0] !== MARKER) {
+            return undefined;
+        }
+        const end = value.indexOf(MARKER, 1);
+
+        return end > 0 ? value.slice(1, end) : undefined;
+    }
+
+};
@@ -0,0 +1,191 @@
+/*global BigInt */
+const Serializer = require('../serializer');
+
+/**
+ * Property holding the type name of an encoded value
+ */
+const TYPE = '$t';
+
+/**
+ * Set an own property of a plain object.
+ * A key such as '__proto__' becomes a property instead of replacing the prototype of the object
+ * 
+ * @param {Object} target 
+ * @param {String} key 
+ * @param {any} value 
+ */
+function define(target, key, value) {
+    Object.defineProperty(target, key, {
+        value,
+        writable: true,
+        enumerable: true,
+        configurable: true
+    });
+}
+
+module.exports = class TypedJsonSerializer extends Serializer {
+
+    /**
+     * Creates an instance of TypedJsonSerializer.
+     * Dates, Maps, Sets, BigInts, Buffers, undefined and non-finite numbers are restored on read
+     * 
+     */
+    constructor() {
+        super();
+        this.codecs = new Map();
+        this.register(
+            'Date',
+            Date,
+            date => (isNaN(date) ? null : date.toISOString()),
+            iso => new Date(iso === null ? NaN : iso)
+        );
+        this.register(
+            'Buffer',
+            Buffer,
+            buf => buf.toString('base64'),
+            base64 => Buffer.from(base64, 'base64')
+        );
+        this.register(
+            'Map',
+            Map,
+            map => Array.from(map),
+            entries => new Map(entries)
+        );
+        this.register(
+            'Set',
+            Set,
+            set => Array.from(set),
+            values => new Set(values)
+        );
+    }
+
+    /**
+     * Register a codec for instances of a class.
+     * The encoded data may contain any type the serializer supports
+     * 
+     * @param {String} type unique type name 
+     * @param {Function} constructor 
+     * @param {Function} encode turns an instance into data 
+     * @param {Function} decode turns data back into an instance 
+     * @memberof TypedJsonSerializer
+     */
+    register(type, constructor, encode, decode) {
+        // codecs registered later are preferred, so subclasses can override the codecs of their parents
+        this.codecs.delete(type);
+        this.codecs = new Map(
+            [[type, { constructor, encode, decode }]].concat(
+                Array.from(this.codecs)
+            )
+        );
+    }
+
+    /**
+     * Turn a value into plain JSON data
+     * 
+     * @param {any} value 
+     * @returns {any}
+     * @memberof TypedJsonSerializer
+     */
+    encode(value) {
+        switch (typeof value) {
+        case 'undefined':
+            return { [TYPE]: 'undefined' };
+        case 'bigint':
+            return { [TYPE]: 'BigInt', v: value.toString() };
+        case 'number':
+            return isFinite(value)
+                ? value
+                : { [TYPE]: 'Number', v: String(value) };
+        case 'object':
+            break;
+        default:
+            return value;
+        }
+        if (value === null) {
+            return value;
+        }
+        for (const [type, codec] of this.codecs) {
+            if (value instanceof codec.constructor) {
+                return { [TYPE]: type, v: this.encode(codec.encode(value)) };
+            }
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.encode(item));
+        }
+        if (typeof value.toJSON === 'function') {
+            return this.encode(value.toJSON());
+        }
+        const data = {};
+        Object.keys(value).forEach(key => {
+            define(data, key, this.encode(value[key]));
+        });
+
+        // plain objects which look like encoded values are wrapped
+        return TYPE in data ? { [TYPE]: 'Object', v: data } : data;
+    }
+
+    /**
+     * Restore a value from plain JSON data
+     * 
+     * @param {any} data 
+     * @returns {any}
+     * @memberof TypedJsonSerializer
+     */
+    decode(data) {
+        if (data === null || typeof data !== 'object') {
+            return data;
+        }
+        if (Array.isArray(data)) {
+            return data.map(item => this.decode(item));
+        }
+        if (typeof data[TYPE] === 'string') {
+            switch (data[TYPE]) {
+            case 'undefined':
+                return undefined;
+            case 'BigInt':
+                return BigInt(data.v);
+            case 'Number':
+                return Number(data.v);
+            case 'Object':
+                return this.decodeObject(data.v);
+            }
+            const codec = this.codecs.get(data[TYPE]);
+            if (!codec) {
+                throw new Error(`Unknown type '${data[TYPE]}'`);
+            }
+
+            return codec.decode(this.decode(data.v));
+        }
+
+        return this.decodeObject(data);
+    }
+
+    /**
+     * Restore the properties of a plain object
+     * 
+     * @param {Object} data 
+     * @returns {Object}
+     * @memberof TypedJsonSerializer
+     */
+    decodeObject(data) {
+        const value = {};
+        Object.keys(data).forEach(key => {
+            define(value, key, this.decode(data[key]));
+        });
+
+        return value;
+    }
+
+    serialize(value) {
+        return value !== undefined
+            ? JSON.stringify(this.encode(value))
+            : value;
+    }
+
+    deserialize(value) {
+        return typeof value === 'string'
+            ? this.decode(JSON.parse(value))
+            : value;
+    }
+
+};
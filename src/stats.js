@@ -0,0 +1,208 @@
+/**
+ * Upper bounds of the latency buckets in milliseconds
+ */
+const BUCKETS = [0.5, 1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500];
+
+/**
+ * Counter names by event
+ */
+const COUNTERS = {
+    hit: 'hits',
+    miss: 'misses',
+    write: 'writes',
+    evicted: 'evictions',
+    error: 'errors'
+};
+
+/**
+ * Create zeroed counters
+ * 
+ * @returns {{hits: Number, misses: Number, writes: Number, evictions: Number, errors: Number}}
+ */
+function counters() {
+    return { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+}
+
+/**
+ * Escape a Prometheus label value
+ * 
+ * @param {String} value 
+ * @returns {String}
+ */
+function escape(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+}
+
+/**
+ * Render Prometheus labels
+ * 
+ * @param {Object} labels 
+ * @returns {String}
+ */
+function labels(labels) {
+    const pairs = Object.keys(labels).map(
+        name => `${name}="${escape(labels[name])}"`
+    );
+
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Counts cache events per operation and per tag, along with the latency of every driver call
+ */
+module.exports = class Stats {
+
+    /**
+     * Creates an instance of Stats
+     * 
+     * @memberof Stats
+     */
+    constructor() {
+        this.totals = counters();
+        this.operations = new Map();
+        this.tags = new Map();
+        this.latency = new Map();
+    }
+
+    /**
+     * Record an operation
+     * 
+     * @param {String} [event] event emitted by the operation 
+     * @param {String} method 
+     * @param {Array<String>} tags 
+     * @param {String} driver 
+     * @param {Number} [duration] milliseconds the driver call took 
+     * @memberof Stats
+     */
+    record(event, method, tags, driver, duration) {
+        const counter = COUNTERS[event];
+        if (counter) {
+            this.totals[counter]++;
+            if (!this.operations.has(method)) {
+                this.operations.set(method, counters());
+            }
+            this.operations.get(method)[counter]++;
+            for (const tag of tags) {
+                if (!this.tags.has(tag)) {
+                    this.tags.set(tag, counters());
+                }
+                this.tags.get(tag)[counter]++;
+            }
+        }
+        if (duration !== undefined) {
+            const id = `${driver}\0${method}`;
+            let histogram = this.latency.get(id);
+            if (!histogram) {
+                histogram = {
+                    driver,
+                    method,
+                    buckets: BUCKETS.map(() => 0),
+                    sum: 0,
+                    count: 0
+                };
+                this.latency.set(id, histogram);
+            }
+            const index = BUCKETS.findIndex(bound => duration <= bound);
+            if (index >= 0) {
+                histogram.buckets[index]++;
+            }
+            histogram.sum += duration;
+            histogram.count++;
+        }
+    }
+
+    /**
+     * Get a copy of the current statistics.
+     * Latency buckets are cumulative and keyed by their upper bound in milliseconds
+     * 
+     * @returns {Object}
+     * @memberof Stats
+     */
+    snapshot() {
+        const copy = map => {
+            const result = {};
+            map.forEach((value, key) => {
+                result[key] = Object.assign({}, value);
+            });
+
+            return result;
+        };
+        const latency = {};
+        this.latency.forEach(({ driver, method, buckets, sum, count }) => {
+            let total = 0;
+            const cumulative = {};
+            BUCKETS.forEach((bound, index) => {
+                total += buckets[index];
+                cumulative[bound] = total;
+            });
+            cumulative['+Inf'] = count;
+            latency[driver] = latency[driver] || {};
+            latency[driver][method] = { buckets: cumulative, sum, count };
+        });
+
+        return Object.assign({}, this.totals, {
+            operations: copy(this.operations),
+            tags: copy(this.tags),
+            latency
+        });
+    }
+
+    /**
+     * Render a snapshot in the Prometheus text exposition format
+     * 
+     * @static
+     * @param {Object} snapshot 
+     * @param {String} [prefix='tagemup'] 
+     * @returns {String}
+     * @memberof Stats
+     */
+    static render(snapshot, prefix = 'tagemup') {
+        const lines = [];
+        const family = (name, type, help) => {
+            lines.push(`# HELP ${name} ${help}`);
+            lines.push(`# TYPE ${name} ${type}`);
+        };
+        Object.keys(COUNTERS).forEach(event => {
+            const counter = COUNTERS[event];
+            const operations = `${prefix}_${counter}_total`;
+            family(operations, 'counter', `Cache ${counter} by operation`);
+            Object.keys(snapshot.operations).forEach(operation => {
+                lines.push(
+                    `${operations}${labels({ operation })} ${
+                        snapshot.operations[operation][counter]
+                    }`
+                );
+            });
+            const tags = `${prefix}_tag_${counter}_total`;
+            family(tags, 'counter', `Cache ${counter} by tag`);
+            Object.keys(snapshot.tags).forEach(tag => {
+                lines.push(
+                    `${tags}${labels({ tag })} ${snapshot.tags[tag][counter]}`
+                );
+            });
+        });
+        const latency = `${prefix}_driver_call_duration_seconds`;
+        family(latency, 'histogram', 'Latency of driver calls');
+        Object.keys(snapshot.latency).forEach(driver => {
+            Object.keys(snapshot.latency[driver]).forEach(operation => {
+                const histogram = snapshot.latency[driver][operation];
+                const series = labels({ driver, operation });
+                BUCKETS.concat('+Inf').forEach(bound => {
+                    const le = bound === '+Inf' ? bound : String(bound / 1000);
+                    const bucket = labels({ driver, operation, le });
+                    lines.push(
+                        `${latency}_bucket${bucket} ${histogram.buckets[bound]}`
+                    );
+                });
+                lines.push(`${latency}_sum${series} ${histogram.sum / 1000}`);
+                lines.push(`${latency}_count${series} ${histogram.count}`);
+            });
+        });
+
+        return `${lines.join('\n')}\n`;
+    }
+
+};
@@ -16,13 +16,37 @@ module.exports = class TagSet {
     }
 
     /**
-     * Get a reference key
+     * Get a reference key.
+     * When tag versions are given, the reference changes as soon as any of the versions changes
      * 
      * @param {String} key 
+     * @param {Array<String>} [versions] 
      * @returns 
      */
-    ref(key) {
+    ref(key, versions) {
+        if (versions) {
+            const shasum = crypto.createHash('sha1');
+            const hash = shasum
+                .update(`${this.hash}|${versions.join('|')}`)
+                .digest('hex');
+
+            return `${hash}:${key}`;
+        }
+
         return `${this.hash}:${key}`;
     }
 
+    /**
+     * Get the key of a reference key
+     * 
+     * @static
+     * @param {String} ref 
+     * @returns {String} undefined if it is not a reference key
+     */
+    static key(ref) {
+        const match = /^[0-9a-f]{40}:/.exec(ref);
+
+        return match ? ref.slice(match[0].length) : undefined;
+    }
+
 };
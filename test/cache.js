@@ -0,0 +1,538 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const tagemup = require('..');
+
+function createCache(options) {
+    return tagemup(
+        Object.assign(
+            {
+                driver: { type: ':memory:' },
+                serializer: 'json',
+                namespace: 'app',
+                ttl: 60
+            },
+            options
+        )
+    );
+}
+
+describe('Cache', function() {
+    let cache;
+
+    beforeEach(function() {
+        cache = createCache();
+    });
+
+    afterEach(function() {
+        return cache.driver.dispose();
+    });
+
+    describe('add', function() {
+        it('resolves whether the item has been added', function() {
+            return cache
+                .add('key', 1)
+                .then(added => {
+                    assert.strictEqual(added, true);
+
+                    return cache.add('key', 2);
+                })
+                .then(added => {
+                    assert.strictEqual(added, false);
+
+                    return cache.get('key');
+                })
+                .then(value => {
+                    assert.strictEqual(value, 1);
+                });
+        });
+
+        it('rejects with the errors of the driver', function() {
+            cache.driver.add = () => Promise.reject(new Error('down'));
+
+            return cache.add('key', 1).then(
+                () => assert.fail('add should have failed'),
+                err => {
+                    assert.strictEqual(err.message, 'down');
+                }
+            );
+        });
+
+        it('adds an item once for concurrent callers', function() {
+            return Promise.all(
+                Array.from({ length: 4 }, (_, i) => cache.add('key', i + 1))
+            )
+                .then(added => {
+                    assert.strictEqual(added.filter(Boolean).length, 1);
+
+                    return cache.get('key');
+                })
+                .then(value => {
+                    assert.strictEqual(value, 1);
+                });
+        });
+
+        it('adds tagged items through the driver with their tags', function() {
+            const tagged = cache.tags(['users']);
+
+            return tagged
+                .add('key', 1)
+                .then(() => tagged.add('key', 2))
+                .then(added => {
+                    assert.strictEqual(added, false);
+
+                    return tagged.flush();
+                })
+                .then(() => tagged.add('key', 3))
+                .then(added => {
+                    assert.strictEqual(added, true);
+                });
+        });
+    });
+
+    describe('lock', function() {
+        it('runs the callback of one of several concurrent holders', function() {
+            let calls = 0;
+            const work = () => Promise.delay(10).then(() => ++calls);
+
+            return Promise.map([1, 2, 3, 4], () =>
+                cache.lock('job', 10).get(work)
+            )
+                .then(results => {
+                    assert.strictEqual(calls, 1);
+                    assert.deepStrictEqual(
+                        results.filter(result => result !== false),
+                        [1]
+                    );
+
+                    // released after the callback
+                    return cache.lock('job', 10).get();
+                })
+                .then(acquired => {
+                    assert.strictEqual(acquired, true);
+                });
+        });
+
+        it('blocks until the lock is released', function() {
+            const first = cache.lock('job', 10);
+
+            return first.get().then(() => {
+                setTimeout(() => first.release(), 30);
+
+                return cache
+                    .lock('job', 10)
+                    .block(1, () => 'done', 10)
+                    .then(result => {
+                        assert.strictEqual(result, 'done');
+                    });
+            });
+        });
+
+        it('gives up blocking after the given time', function() {
+            return cache
+                .lock('job', 10)
+                .get()
+                .then(() => cache.lock('job', 10).block(0.05, undefined, 10))
+                .then(
+                    () => assert.fail('the lock should not be acquired'),
+                    err => {
+                        assert.match(err.message, /Unable to acquire lock/);
+                    }
+                );
+        });
+
+        it('is released by its owner in another instance', function() {
+            const first = cache.lock('job', 10);
+
+            return first
+                .get()
+                .then(() => cache.lock('job', 10, 'someone').release())
+                .then(released => {
+                    assert.strictEqual(released, false);
+
+                    return cache.lock('job', 10, first.owner()).release();
+                })
+                .then(released => {
+                    assert.strictEqual(released, true);
+                });
+        });
+    });
+
+    describe('remember', function() {
+        it('shares one computation between concurrent callers', function() {
+            let calls = 0;
+            const compute = () => Promise.delay(10).then(() => ++calls);
+
+            return Promise.map([1, 2, 3], () =>
+                cache.remember('key', compute)
+            ).then(values => {
+                assert.strictEqual(calls, 1);
+                assert.deepStrictEqual(values, [1, 1, 1]);
+            });
+        });
+
+        it('computes once across caches with stampede protection', function() {
+            const caches = [1, 2, 3].map(() =>
+                createCache({
+                    driver: cache.driver,
+                    stampede: { lock: 10, wait: 2, interval: 10 }
+                })
+            );
+            let calls = 0;
+            const compute = () => Promise.delay(50).then(() => ++calls);
+
+            return Promise.map(caches, other =>
+                other.remember('key', compute)
+            ).then(values => {
+                assert.strictEqual(calls, 1);
+                assert.deepStrictEqual(values, [1, 1, 1]);
+            });
+        });
+
+        it('computes without the lock once the wait is over', function() {
+            const other = createCache({
+                driver: cache.driver,
+                stampede: { lock: 10, wait: 0.05, interval: 10 }
+            });
+
+            return cache
+                .lock('remember:key', 10)
+                .get()
+                .then(() => other.remember('key', () => 'computed'))
+                .then(value => {
+                    assert.strictEqual(value, 'computed');
+                });
+        });
+    });
+
+    describe('flexible', function() {
+        let calls;
+        const compute = () => Promise.delay(5).then(() => ++calls);
+
+        beforeEach(function() {
+            calls = 0;
+        });
+
+        it('serves a fresh value without computing it again', function() {
+            return cache
+                .flexible('key', [10, 10], compute)
+                .then(() => cache.flexible('key', [10, 10], compute))
+                .then(value => {
+                    assert.strictEqual(value, 1);
+                    assert.strictEqual(calls, 1);
+                });
+        });
+
+        it('serves a stale value while refreshing it once in the background', function() {
+            return cache
+                .flexible('key', [0.02, 10], compute)
+                .delay(30)
+                .then(() =>
+                    Promise.map([1, 2, 3], () =>
+                        cache.flexible('key', [0.02, 10], compute)
+                    )
+                )
+                .then(values => {
+                    assert.deepStrictEqual(values, [1, 1, 1]);
+                })
+                .delay(20)
+                .then(() => cache.flexible('key', [0.02, 10], compute))
+                .then(value => {
+                    assert.strictEqual(value, 2);
+                    assert.strictEqual(calls, 2);
+                });
+        });
+
+        it('computes a value which is too old to be served', function() {
+            return cache
+                .flexible('key', [0.01, 0.01], compute)
+                .delay(30)
+                .then(() => cache.flexible('key', [0.01, 0.01], compute))
+                .then(value => {
+                    assert.strictEqual(value, 2);
+                });
+        });
+
+        it('keeps serving the stale value if the refresh fails', function() {
+            return cache
+                .flexible('key', [0.02, 10], compute)
+                .delay(30)
+                .then(() =>
+                    cache.flexible('key', [0.02, 10], () =>
+                        Promise.reject(new Error('down'))
+                    )
+                )
+                .delay(10)
+                .then(() => cache.flexible('key', [0.02, 10], compute))
+                .then(value => {
+                    assert.strictEqual(value, 1);
+                });
+        });
+    });
+
+    describe('batches', function() {
+        it('returns every requested key in order with placeholders for misses', function() {
+            return cache
+                .putMany({ c: 3, a: 0, b: '' })
+                .then(() => cache.many(['b', 'missing', 'c', 'a']))
+                .then(values => {
+                    assert.deepStrictEqual(Object.keys(values), [
+                        'b',
+                        'missing',
+                        'c',
+                        'a'
+                    ]);
+                    assert.ok('missing' in values);
+                    assert.deepStrictEqual(values, {
+                        b: '',
+                        missing: undefined,
+                        c: 3,
+                        a: 0
+                    });
+
+                    return cache.many([]);
+                })
+                .then(values => {
+                    assert.deepStrictEqual(values, {});
+                });
+        });
+
+        it('stores an array of items with the ttl as the second argument', function() {
+            return cache
+                .put([{ key: 'a', value: 1 }, { key: 'b', value: 2 }], 0.01)
+                .then(() => cache.many(['a', 'b']))
+                .then(values => {
+                    assert.deepStrictEqual(values, { a: 1, b: 2 });
+                })
+                .delay(20)
+                .then(() => cache.many(['a', 'b']))
+                .then(values => {
+                    assert.deepStrictEqual(values, {
+                        a: undefined,
+                        b: undefined
+                    });
+                });
+        });
+
+        it('forgets only the given keys', function() {
+            return cache
+                .putMany({ a: 1, b: 2, c: 3 })
+                .then(() => cache.forgetMany(['a', 'c', 'missing']))
+                .then(() => cache.forgetMany([]))
+                .then(() => cache.many(['a', 'b', 'c']))
+                .then(values => {
+                    assert.deepStrictEqual(values, {
+                        a: undefined,
+                        b: 2,
+                        c: undefined
+                    });
+                });
+        });
+
+        it('reads, stores and forgets the items of tags', function() {
+            const users = cache.tags('users');
+
+            return users
+                .putMany({ a: 1, b: 2 })
+                .then(() => cache.putMany({ a: 'untagged' }))
+                .then(() =>
+                    Promise.all([
+                        users.many(['b', 'a']),
+                        cache.tags('posts').many(['a']),
+                        cache.many(['a', 'b'])
+                    ])
+                )
+                .then(([tagged, other, untagged]) => {
+                    assert.deepStrictEqual(tagged, { b: 2, a: 1 });
+                    assert.deepStrictEqual(other, { a: undefined });
+                    assert.deepStrictEqual(untagged, {
+                        a: 'untagged',
+                        b: undefined
+                    });
+
+                    return users.forgetMany(['a']);
+                })
+                .then(() =>
+                    Promise.all([users.many(['a', 'b']), cache.get('a')])
+                )
+                .then(([tagged, untagged]) => {
+                    assert.deepStrictEqual(tagged, { a: undefined, b: 2 });
+                    assert.strictEqual(untagged, 'untagged');
+
+                    return users.flush();
+                })
+                .then(() => users.many(['a', 'b']))
+                .then(tagged => {
+                    assert.deepStrictEqual(tagged, {
+                        a: undefined,
+                        b: undefined
+                    });
+                });
+        });
+    });
+
+    describe('flush', function() {
+        it('clears the items of the cache and keeps its locks', function() {
+            return cache
+                .put('key', 1)
+                .then(() => cache.tags('users').put('key', 2))
+                .then(() => cache.lock('job', 10).get())
+                .then(() => cache.flush())
+                .then(() =>
+                    Promise.all([
+                        cache.get('key'),
+                        cache.tags('users').get('key'),
+                        cache.lock('job', 10).get()
+                    ])
+                )
+                .then(([value, tagged, acquired]) => {
+                    assert.strictEqual(value, undefined);
+                    assert.strictEqual(tagged, undefined);
+                    assert.strictEqual(acquired, false);
+                });
+        });
+
+        it('only clears the items of the tags', function() {
+            return cache
+                .put('key', 1)
+                .then(() => cache.tags('users').put('key', 2))
+                .then(() => cache.tags('users').flush())
+                .then(() =>
+                    Promise.all([
+                        cache.get('key'),
+                        cache.tags('users').get('key')
+                    ])
+                )
+                .then(([value, tagged]) => {
+                    assert.strictEqual(value, 1);
+                    assert.strictEqual(tagged, undefined);
+                });
+        });
+    });
+
+    describe('schema', function() {
+        function withSchema(schema) {
+            return new tagemup.Cache({ driver: cache.driver, ttl: 60, schema });
+        }
+
+        it('rejects versions which are not positive integers', function() {
+            [0, 1.5, '2'].forEach(version => {
+                assert.throws(
+                    () => withSchema({ version }),
+                    /Schema version must be a positive integer/
+                );
+            });
+        });
+
+        it('stamps objects with the schema version and keeps primitives bare', function() {
+            const versioned = withSchema({ version: 2 });
+
+            return versioned
+                .put('user', { name: 'a' })
+                .then(() => versioned.put('hits', 5))
+                .then(() => versioned.increment('hits'))
+                .then(() =>
+                    Promise.all([
+                        cache.driver.get('user'),
+                        cache.driver.get('hits'),
+                        versioned.get('user')
+                    ])
+                )
+                .then(([stored, hits, user]) => {
+                    assert.deepStrictEqual(stored, {
+                        $schema: 2,
+                        value: { name: 'a' }
+                    });
+                    assert.strictEqual(hits, 6);
+                    assert.deepStrictEqual(user, { name: 'a' });
+                });
+        });
+
+        it('chains the migrations from the version of an entry', function() {
+            const migrations = {
+                0: user => Object.assign({ roles: [] }, user),
+                1: user => Object.assign({}, user, { version: 2 }),
+                2: user =>
+                    Promise.resolve(Object.assign({}, user, { version: 3 }))
+            };
+            const current = withSchema({ version: 3, migrations });
+
+            return cache
+                .put('unstamped', { name: 'a' })
+                .then(() =>
+                    withSchema({ version: 2 }).put('old', { name: 'b' })
+                )
+                .then(() => current.many(['unstamped', 'old']))
+                .then(values => {
+                    assert.deepStrictEqual(values, {
+                        unstamped: { roles: [], name: 'a', version: 3 },
+                        old: { name: 'b', version: 3 }
+                    });
+
+                    return cache.driver.get('old');
+                })
+                .then(stored => {
+                    // migrated values are not written back
+                    assert.deepStrictEqual(stored, {
+                        $schema: 2,
+                        value: { name: 'b' }
+                    });
+                });
+        });
+
+        it('treats entries without a migration path as misses', function() {
+            const current = withSchema({
+                version: 3,
+                migrations: { 2: user => user, 1: () => undefined }
+            });
+
+            return withSchema({ version: 1 })
+                .put('user', { name: 'a' })
+                .then(() => cache.put('legacy', { name: 'b' }))
+                .then(() =>
+                    Promise.all([
+                        current.get('user'),
+                        current.get('legacy'),
+                        current.remember('legacy', () => ({ name: 'c' }))
+                    ])
+                )
+                .then(([user, legacy, remembered]) => {
+                    assert.strictEqual(user, undefined);
+                    assert.strictEqual(legacy, undefined);
+                    assert.deepStrictEqual(remembered, { name: 'c' });
+
+                    return cache.driver.get('legacy');
+                })
+                .then(stored => {
+                    assert.deepStrictEqual(stored, {
+                        $schema: 3,
+                        value: { name: 'c' }
+                    });
+                });
+        });
+
+        it('treats entries of a newer schema as misses', function() {
+            const older = withSchema({
+                version: 2,
+                migrations: { 1: user => user }
+            });
+
+            return withSchema({ version: 3 })
+                .put('user', { name: 'a' })
+                .then(() =>
+                    Promise.all([
+                        older.get('user', 'fallback'),
+                        older.many(['user'])
+                    ])
+                )
+                .then(([user, values]) => {
+                    assert.strictEqual(user, 'fallback');
+                    assert.deepStrictEqual(values, { user: undefined });
+
+                    return older.pull('user');
+                })
+                .then(pulled => {
+                    assert.strictEqual(pulled, undefined);
+                });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const assert = require('assert');
+const zlib = require('zlib');
+const CompressedSerializer = require('../src/serializers/compressed');
+const JsonSerializer = require('../src/serializers/json');
+const MsgpackSerializer = require('../src/serializers/msgpack');
+
+function createSerializer(options) {
+    return new CompressedSerializer(
+        Object.assign({ serializer: new JsonSerializer() }, options)
+    );
+}
+
+const large = { text: 'lorem ipsum '.repeat(200) };
+
+describe('CompressedSerializer', function() {
+    it('requires a serializer and a known algorithm', function() {
+        assert.throws(
+            () => new CompressedSerializer({}),
+            /A valid serializer must be provided/
+        );
+        assert.throws(
+            () => createSerializer({ algorithm: 'lzma' }),
+            /Unknown compression algorithm/
+        );
+    });
+
+    it('only compresses payloads from the threshold on', function() {
+        const serializer = createSerializer({ threshold: 64 });
+        const small = { text: 'short' };
+
+        assert.strictEqual(serializer.serialize(small), JSON.stringify(small));
+        assert.strictEqual(serializer.serialize(large)[0], '\u0001');
+        assert.deepStrictEqual(
+            serializer.deserialize(serializer.serialize(large)),
+            large
+        );
+    });
+
+    it('keeps incompressible payloads as they are', function() {
+        const serializer = createSerializer({ threshold: 1 });
+        const value = 'x';
+
+        assert.strictEqual(serializer.serialize(value), '"x"');
+    });
+
+    it('marks payloads with the id of their algorithm', function() {
+        [['gzip', 'g'], ['deflate', 'd'], ['brotli', 'b']].forEach(
+            ([algorithm, id]) => {
+                const serializer = createSerializer({ algorithm });
+                const payload = serializer.serialize(large);
+
+                assert.strictEqual(payload.slice(0, 2), `\u0001${id}`);
+                assert.deepStrictEqual(serializer.deserialize(payload), large);
+            }
+        );
+    });
+
+    it('reads payloads of another algorithm', function() {
+        const payload = createSerializer({ algorithm: 'brotli' }).serialize(
+            large
+        );
+
+        assert.deepStrictEqual(
+            createSerializer({ algorithm: 'gzip' }).deserialize(payload),
+            large
+        );
+        assert.deepStrictEqual(
+            createSerializer().deserialize(
+                `\u0001d${zlib
+                    .deflateSync(JSON.stringify(large))
+                    .toString('base64')}`
+            ),
+            large
+        );
+    });
+
+    it('rejects payloads of an unknown algorithm', function() {
+        assert.throws(
+            () => createSerializer().deserialize('\u0001zAAAA'),
+            /Unknown compression algorithm/
+        );
+    });
+
+    it('reads uncompressed payloads written without it', function() {
+        const serializer = createSerializer();
+
+        assert.deepStrictEqual(
+            serializer.deserialize(JSON.stringify(large)),
+            large
+        );
+        assert.strictEqual(serializer.deserialize('1'), 1);
+    });
+
+    it('keeps binary payloads binary', function() {
+        const serializer = createSerializer({
+            serializer: new MsgpackSerializer(),
+            threshold: 64
+        });
+        const payload = serializer.serialize(large);
+
+        assert.ok(serializer.binary);
+        assert.ok(Buffer.isBuffer(payload));
+        assert.strictEqual(payload[0], 1);
+        assert.strictEqual(String.fromCharCode(payload[1]), 'g');
+        assert.deepStrictEqual(serializer.deserialize(payload), large);
+        assert.deepStrictEqual(
+            serializer.deserialize(new MsgpackSerializer().serialize(large)),
+            large
+        );
+        // a positive integer of one byte is a msgpack payload, not a marker
+        assert.strictEqual(serializer.deserialize(Buffer.from([1])), 1);
+    });
+});
@@ -0,0 +1,72 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const EncryptedSerializer = require('../src/serializers/encrypted');
+const JsonSerializer = require('../src/serializers/json');
+
+const key = crypto.randomBytes(32);
+
+function createSerializer(keys, current) {
+    return new EncryptedSerializer({
+        serializer: new JsonSerializer(),
+        keys,
+        current
+    });
+}
+
+/**
+ * Encrypt a payload the way earlier versions did, without authenticating the key id
+ */
+function legacy(id, value, tagLength) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv, {
+        authTagLength: tagLength || 16
+    });
+    const encrypted = Buffer.concat([
+        cipher.update(JSON.stringify(value), 'utf8'),
+        cipher.final()
+    ]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), encrypted]);
+
+    return `\u0002${id}\u0002${payload.toString('base64')}`;
+}
+
+describe('EncryptedSerializer', function() {
+    it('reads back what it wrote', function() {
+        const serializer = createSerializer({ a: key });
+
+        assert.deepStrictEqual(
+            serializer.deserialize(serializer.serialize({ user: 1 })),
+            { user: 1 }
+        );
+    });
+
+    it('rejects payloads moved to another key id', function() {
+        const serializer = createSerializer({ a: key, b: key }, 'a');
+        const moved = serializer
+            .serialize('secret')
+            .replace(/^\u0002a/, '\u0002b');
+
+        assert.strictEqual(serializer.deserialize(moved), undefined);
+    });
+
+    it('rejects authentication tags shorter than 16 bytes', function() {
+        const serializer = createSerializer({ a: key });
+
+        assert.strictEqual(
+            serializer.deserialize(legacy('a', 'secret', 4)),
+            undefined
+        );
+    });
+
+    it('reads payloads of earlier versions and reports them outdated', function() {
+        const serializer = createSerializer({ a: key });
+        const stored = legacy('a', 'secret');
+
+        assert.strictEqual(serializer.deserialize(stored), 'secret');
+        assert.strictEqual(serializer.outdated(stored), true);
+        assert.strictEqual(
+            serializer.outdated(serializer.serialize('secret')),
+            false
+        );
+    });
+});
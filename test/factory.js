@@ -0,0 +1,126 @@
+const assert = require('assert');
+const tagemup = require('..');
+const MemoryDriver = require('../src/drivers/memory');
+const MemoryBus = require('../src/buses/memory');
+const JsonSerializer = require('../src/serializers/json');
+
+describe('factory', function() {
+    describe('extend', function() {
+        it('rejects unknown kinds', function() {
+            assert.throws(
+                () => tagemup.extend('cache', 'custom', MemoryDriver),
+                /Unknown extension kind/
+            );
+        });
+
+        it('rejects missing names', function() {
+            assert.throws(
+                () => tagemup.extend('driver', '', MemoryDriver),
+                /A valid name must be provided/
+            );
+        });
+
+        it('only registers classes extending the base of their kind', function() {
+            [
+                ['driver', function() {}, /A driver must extend Driver/],
+                ['driver', tagemup.Driver, /A driver must extend Driver/],
+                ['driver', JsonSerializer, /A driver must extend Driver/],
+                [
+                    'serializer',
+                    MemoryDriver,
+                    /A serializer must extend Serializer/
+                ],
+                ['bus', {}, /A bus must extend Bus/]
+            ].forEach(([kind, Class, error]) => {
+                assert.throws(
+                    () => tagemup.extend(kind, 'invalid', Class),
+                    error
+                );
+            });
+            assert.throws(
+                () =>
+                    tagemup({
+                        driver: { type: 'invalid' },
+                        serializer: 'json'
+                    }),
+                /Unknown driver/
+            );
+        });
+
+        it('builds a registered driver with the options of the cache', function() {
+            class CustomDriver extends MemoryDriver {
+                constructor(options) {
+                    super(options);
+                    this.options = options;
+                }
+            }
+            tagemup.extend('driver', 'custom-driver', CustomDriver);
+            const cache = tagemup({
+                driver: { type: 'custom-driver', options: { interval: 500 } },
+                serializer: 'json',
+                namespace: 'app',
+                ttl: 60
+            });
+
+            assert.ok(cache.driver instanceof CustomDriver);
+            assert.strictEqual(cache.driver.options.namespace, 'app');
+            assert.ok(
+                cache.driver.options.serializer instanceof JsonSerializer
+            );
+            assert.deepStrictEqual(cache.driver.options.driver, {
+                interval: 500
+            });
+
+            return cache
+                .put('key', 1)
+                .then(() => cache.get('key'))
+                .then(value => {
+                    assert.strictEqual(value, 1);
+
+                    return cache.driver.dispose();
+                });
+        });
+
+        it('builds registered drivers as the remote of a tiered driver', function() {
+            class RemoteDriver extends MemoryDriver {}
+            tagemup.extend('driver', 'custom-remote', RemoteDriver);
+            const cache = tagemup({
+                driver: {
+                    type: 'tiered',
+                    options: { remote: { type: 'custom-remote' } }
+                },
+                serializer: 'json',
+                ttl: 60
+            });
+
+            assert.ok(cache.driver.remote instanceof RemoteDriver);
+
+            return cache.driver.dispose();
+        });
+
+        it('builds registered serializers and buses by name', function() {
+            class CustomSerializer extends JsonSerializer {}
+            class CustomBus extends MemoryBus {}
+            tagemup.extend('serializer', 'custom-serializer', CustomSerializer);
+            tagemup.extend('bus', 'custom-bus', CustomBus);
+            const cache = tagemup({
+                driver: {
+                    type: 'tiered',
+                    options: {
+                        remote: { type: ':memory:' },
+                        bus: { type: 'custom-bus' }
+                    }
+                },
+                serializer: 'custom-serializer',
+                namespace: 'app',
+                ttl: 60
+            });
+
+            assert.ok(cache.driver.serializer instanceof CustomSerializer);
+            assert.ok(cache.driver.bus instanceof CustomBus);
+            assert.strictEqual(cache.driver.bus.channel, 'app:invalidations');
+
+            return cache.driver.dispose();
+        });
+    });
+});
@@ -0,0 +1,255 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileDriver = require('../src/drivers/file');
+const JsonSerializer = require('../src/serializers/json');
+const TagSet = require('../src/tagset');
+
+describe('FileDriver', function() {
+    let dir;
+
+    function createDriver(namespace) {
+        return new FileDriver({
+            namespace,
+            serializer: new JsonSerializer(),
+            driver: { path: dir }
+        });
+    }
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tagemup-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('flush', function() {
+        it('only clears the files of its own namespace', function() {
+            const app = createDriver('app');
+            const app2 = createDriver('app2');
+
+            return app
+                .put('a', 1, 60)
+                .then(() => app2.put('b', 2, 60))
+                .then(() => app.flush())
+                .then(() => Promise.all([app.get('a'), app2.get('b')]))
+                .then(([a, b]) => {
+                    assert.strictEqual(a, undefined);
+                    assert.strictEqual(b, 2);
+                });
+        });
+
+        it('keeps the locks of the namespace', function() {
+            const driver = createDriver('app');
+
+            return driver
+                .acquire('job', 'first', 60)
+                .then(() => driver.flush())
+                .then(() => driver.acquire('job', 'second', 60))
+                .then(acquired => {
+                    assert.strictEqual(acquired, false);
+                });
+        });
+    });
+
+    describe('locks', function() {
+        it('grants a lock to one of several processes at once', function() {
+            const drivers = Array.from({ length: 8 }, () =>
+                createDriver('app')
+            );
+
+            return Promise.map(drivers, (driver, i) =>
+                driver.acquire('job', `owner${i}`, 60)
+            ).then(acquired => {
+                assert.strictEqual(acquired.filter(Boolean).length, 1);
+            });
+        });
+
+        it('takes over an expired lock once', function() {
+            const drivers = Array.from({ length: 8 }, () =>
+                createDriver('app')
+            );
+
+            return drivers[0]
+                .acquire('job', 'stale', 0.01)
+                .delay(20)
+                .then(() =>
+                    Promise.map(drivers, (driver, i) =>
+                        driver.acquire('job', `owner${i}`, 60)
+                    )
+                )
+                .then(acquired => {
+                    assert.strictEqual(acquired.filter(Boolean).length, 1);
+                });
+        });
+
+        it('is only released by its owner', function() {
+            const driver = createDriver('app');
+
+            return driver
+                .acquire('job', 'first', 60)
+                .then(() => driver.release('job', 'second'))
+                .then(released => {
+                    assert.strictEqual(released, false);
+
+                    return driver.release('job', 'first');
+                })
+                .then(released => {
+                    assert.strictEqual(released, true);
+
+                    return driver.acquire('job', 'second', 60);
+                })
+                .then(acquired => {
+                    assert.strictEqual(acquired, true);
+                });
+        });
+    });
+
+    describe('add', function() {
+        it('stores an item once and replaces it after it expired', function() {
+            const drivers = Array.from({ length: 4 }, () =>
+                createDriver('app')
+            );
+
+            return Promise.map(drivers, (driver, i) =>
+                driver.add('key', i, 0.01)
+            )
+                .then(added => {
+                    assert.strictEqual(added.filter(Boolean).length, 1);
+                })
+                .delay(20)
+                .then(() => drivers[0].add('key', 'next', 60))
+                .then(added => {
+                    assert.strictEqual(added, true);
+
+                    return drivers[1].get('key');
+                })
+                .then(value => {
+                    assert.strictEqual(value, 'next');
+                });
+        });
+    });
+
+    describe('expiry', function() {
+        it('keeps a value written while an expired one is removed', function() {
+            const driver = createDriver('app');
+
+            return driver
+                .put('key', 1, 0.01)
+                .delay(20)
+                .then(() =>
+                    Promise.all([driver.get('key'), driver.put('key', 2, 60)])
+                )
+                .then(() => driver.get('key'))
+                .then(value => {
+                    assert.strictEqual(value, 2);
+                });
+        });
+
+        it('reports removed expired entries', function() {
+            const driver = createDriver('app');
+            const expired = [];
+            driver.on('expired', event => expired.push(event.key));
+
+            return driver
+                .put('key', 1, 0.01)
+                .delay(20)
+                .then(() => Promise.all([driver.get('key'), driver.get('key')]))
+                .then(values => {
+                    assert.deepStrictEqual(values, [undefined, undefined]);
+                    assert.deepStrictEqual(expired, ['key']);
+                });
+        });
+    });
+
+    describe('updates', function() {
+        it('counts every concurrent increment of several processes', function() {
+            const drivers = Array.from({ length: 4 }, () =>
+                createDriver('app')
+            );
+
+            return Promise.map(Array.from({ length: 40 }), (_, i) =>
+                drivers[i % drivers.length].increment('hits', 1)
+            )
+                .then(() => drivers[0].get('hits'))
+                .then(value => {
+                    assert.strictEqual(value, 40);
+                });
+        });
+
+        it('keeps every member of concurrent tagged writers', function() {
+            const drivers = Array.from({ length: 4 }, () =>
+                createDriver('app')
+            );
+            const tagset = new TagSet('users');
+            const keys = Array.from({ length: 16 }, (_, i) => `user:${i}`);
+
+            return Promise.map(keys, (key, i) =>
+                i % 2
+                    ? drivers[i % drivers.length].put(key, i, 60, tagset)
+                    : drivers[i % drivers.length].increment(key, 1, tagset)
+            )
+                .then(() => drivers[0].flush(tagset))
+                .then(() =>
+                    Promise.map(keys, key => drivers[1].has(key, tagset))
+                )
+                .then(found => {
+                    assert.ok(found.every(exists => !exists));
+                });
+        });
+
+        it('drops expired members when an index is rewritten', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+
+            return driver
+                .put('a', 1, 0.01, tagset)
+                .then(() => driver.put('b', 2, 0, tagset))
+                .delay(20)
+                .then(() => driver.put('c', 3, 60, tagset))
+                .then(() => driver.load(tagset.keys[0]))
+                .then(record => {
+                    assert.deepStrictEqual(
+                        Object.keys(record.value).sort(),
+                        [tagset.ref('b'), tagset.ref('c')].sort()
+                    );
+                });
+        });
+
+        it('reads indexes stored as arrays by earlier versions', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+
+            return driver
+                .put('a', 1, 60)
+                .then(() =>
+                    driver.store(tagset.keys[0], [tagset.ref('a')])
+                )
+                .then(() => driver.put('a', 1, 60, tagset))
+                .then(() => driver.put('b', 2, 60, tagset))
+                .then(() => driver.flush(tagset))
+                .then(() =>
+                    Promise.all([
+                        driver.has('a', tagset),
+                        driver.has('b', tagset)
+                    ])
+                )
+                .then(found => {
+                    assert.deepStrictEqual(found, [false, false]);
+                });
+        });
+
+        it('leaves no update lock behind', function() {
+            const driver = createDriver('app');
+
+            return Promise.map(Array.from({ length: 8 }), () =>
+                driver.increment('hits', 1)
+            ).then(() => {
+                assert.deepStrictEqual(fs.readdirSync(driver.locks), []);
+            });
+        });
+    });
+});
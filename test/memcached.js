@@ -0,0 +1,306 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const MemcachedDriver = require('../src/drivers/memcached');
+const JsonSerializer = require('../src/serializers/json');
+const MsgpackSerializer = require('../src/serializers/msgpack');
+const TagSet = require('../src/tagset');
+const VersionedDriver = require('../src/drivers/versioned');
+const FakeMemcached = require('./support/memcached');
+
+/**
+ * Get the stored item of a key of the fake
+ */
+function itemOf(driver, key) {
+    const name = Array.from(driver.memcached.items.keys()).find(name =>
+        name.endsWith(`:${key}`)
+    );
+
+    return driver.memcached.items.get(name);
+}
+
+function createDriver(namespace, serializer) {
+    const driver = new MemcachedDriver({
+        namespace,
+        serializer: serializer || new JsonSerializer(),
+        driver: { location: '127.0.0.1:11211' }
+    });
+    driver.memcached.end();
+    driver.memcached = new FakeMemcached();
+
+    return driver;
+}
+
+describe('MemcachedDriver', function() {
+    describe('tag indexes', function() {
+        it('attaches a large tagged batch in one index update per tag', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+            const items = Array.from({ length: 50 }, (_, i) => ({
+                key: `user:${i}`,
+                value: i
+            }));
+
+            return driver
+                .putMany(items, 60, tagset)
+                .then(() =>
+                    driver.getMany(items.map(item => item.key), tagset)
+                )
+                .then(values => {
+                    assert.deepStrictEqual(
+                        values,
+                        items.map(item => item.value)
+                    );
+
+                    return driver.flush(tagset);
+                })
+                .then(() =>
+                    driver.getMany(items.map(item => item.key), tagset)
+                )
+                .then(values => {
+                    assert.ok(values.every(value => value === undefined));
+                });
+        });
+
+        it('keeps every member of concurrent writers', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+            const keys = Array.from({ length: 8 }, (_, i) => `user:${i}`);
+
+            return Promise.map(keys, key => driver.put(key, 1, 60, tagset))
+                .then(() => driver.flush(tagset))
+                .then(() => Promise.map(keys, key => driver.has(key, tagset)))
+                .then(found => {
+                    assert.ok(found.every(exists => !exists));
+                });
+        });
+
+        it('indexes entries written during a tag flush for the next flush', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+
+            return driver
+                .put('a', 1, 60, tagset)
+                .then(() =>
+                    Promise.all([
+                        driver.flush(tagset),
+                        driver.put('b', 2, 60, tagset)
+                    ])
+                )
+                .then(() => driver.flush(tagset))
+                .then(() => driver.has('b', tagset))
+                .then(exists => {
+                    assert.strictEqual(exists, false);
+                });
+        });
+
+        it('keeps an index alive as long as its longest living member', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+
+            return driver
+                .put('short', 1, 10, tagset)
+                .then(() => driver.forever('long', 2, tagset))
+                .then(() => driver.put('other', 3, 20, tagset))
+                .then(() => {
+                    const index = Array.from(
+                        driver.memcached.items.entries()
+                    ).find(([key]) => key.endsWith(':tags:users'));
+                    assert.strictEqual(index[1].expires, 0);
+                });
+        });
+    });
+
+    describe('locks', function() {
+        it('keeps the locks of namespaces apart', function() {
+            const app = createDriver('app');
+            const other = createDriver('other');
+            other.memcached = app.memcached;
+
+            return app
+                .acquire('job', 'first', 60)
+                .then(() => other.acquire('job', 'second', 60))
+                .then(acquired => {
+                    assert.strictEqual(acquired, true);
+
+                    return app.release('job', 'second');
+                })
+                .then(released => {
+                    assert.strictEqual(released, false);
+
+                    return app.release('job', 'first');
+                })
+                .then(released => {
+                    assert.strictEqual(released, true);
+                });
+        });
+    });
+
+    describe('namespace versions', function() {
+        it('reads the version once for consecutive operations', function() {
+            const driver = createDriver('app');
+            const memcached = driver.memcached;
+            let reads = 0;
+            const get = memcached.get.bind(memcached);
+            memcached.get = (key, callback) => {
+                if (key === 'app:version') {
+                    reads++;
+                }
+                get(key, callback);
+            };
+
+            return Promise.map(['a', 'b', 'c'], key => driver.put(key, 1, 60))
+                .then(() => driver.getMany(['a', 'b', 'c']))
+                .then(() => {
+                    assert.strictEqual(reads, 1);
+                });
+        });
+
+        it('sees its own flush at once and those of others after a moment', function() {
+            const app = createDriver('app');
+            const other = createDriver('app');
+            other.memcached = app.memcached;
+
+            return app
+                .put('a', 1, 60)
+                .then(() => other.get('a'))
+                .then(value => {
+                    assert.strictEqual(value, 1);
+
+                    return app.flush();
+                })
+                .then(() => Promise.all([app.get('a'), other.get('a')]))
+                .then(([own, stale]) => {
+                    assert.strictEqual(own, undefined);
+                    assert.strictEqual(stale, 1);
+                })
+                .delay(1100)
+                .then(() => other.get('a'))
+                .then(value => {
+                    assert.strictEqual(value, undefined);
+                });
+        });
+    });
+
+    describe('scan', function() {
+        it('yields the members of tags', function() {
+            const driver = createDriver('app');
+            const tagset = new TagSet('users');
+
+            return driver
+                .putMany(
+                    [{ key: 'a', value: 1 }, { key: 'b', value: 2 }],
+                    60,
+                    tagset
+                )
+                .then(() => driver.scan(undefined, undefined, tagset))
+                .then(page => {
+                    assert.deepStrictEqual(page.keys.sort(), ['a', 'b']);
+                });
+        });
+
+        it('rejects clearly with tagging by version', function() {
+            const driver = new VersionedDriver({ driver: createDriver('app') });
+
+            return driver.scan(undefined, undefined, new TagSet('users')).then(
+                () => assert.fail('the scan should have failed'),
+                err => {
+                    assert.ok(/tagging 'version'/.test(err.message));
+                }
+            );
+        });
+    });
+
+    [
+        ['plain integers', () => new JsonSerializer()],
+        ['serialized numbers', () => new MsgpackSerializer()]
+    ].forEach(([name, serializer]) => {
+        describe(`counters of ${name}`, function() {
+            it('counts every concurrent increment of two clients', function() {
+                const driver = createDriver('app', serializer());
+                const other = createDriver('app', serializer());
+                other.memcached = driver.memcached;
+
+                return Promise.map(Array.from({ length: 20 }), (_, i) =>
+                    (i % 2 ? other : driver).increment('hits', 1)
+                )
+                    .then(values => {
+                        assert.deepStrictEqual(
+                            values.sort((a, b) => a - b),
+                            Array.from({ length: 20 }, (_, i) => i + 1)
+                        );
+
+                        return driver.get('hits');
+                    })
+                    .then(value => {
+                        assert.strictEqual(value, 20);
+                    });
+            });
+
+            it('expires a counter created with a ttl', function() {
+                const driver = createDriver('app', serializer());
+
+                return driver.increment('hits', 1, undefined, 60).then(() => {
+                    const expires = itemOf(driver, 'hits').expires;
+                    assert.ok(Math.abs(expires - Date.now() - 60000) < 2000);
+                });
+            });
+
+            it('keeps the ttl of a counter when it is updated', function() {
+                const driver = createDriver('app', serializer());
+                let expires;
+
+                return driver
+                    .put('hits', 5, 60)
+                    .then(() => {
+                        expires = itemOf(driver, 'hits').expires;
+
+                        return driver.increment('hits', 2);
+                    })
+                    .then(() => driver.decrement('hits', 1, undefined, 600))
+                    .then(value => {
+                        assert.strictEqual(value, 6);
+                        assert.ok(
+                            Math.abs(itemOf(driver, 'hits').expires - expires) <
+                                1000
+                        );
+                    });
+            });
+
+            it('does not go below zero', function() {
+                const driver = createDriver('app', serializer());
+
+                return driver
+                    .decrement('missing', 3)
+                    .then(value => {
+                        assert.strictEqual(value, 0);
+
+                        return driver.increment('hits', 2);
+                    })
+                    .then(() => driver.decrement('hits', 5))
+                    .then(value => {
+                        assert.strictEqual(value, 0);
+                    });
+            });
+        });
+    });
+
+    describe('counters stored by earlier versions', function() {
+        it('refuses to count numbers stored without their expiry', function() {
+            const driver = createDriver('app', new MsgpackSerializer());
+
+            return driver
+                .put('hits', 'placeholder', 60)
+                .then(() => {
+                    itemOf(driver, 'hits').value = driver.serialize(5);
+
+                    return driver.increment('hits', 1);
+                })
+                .then(
+                    () => assert.fail('should have been refused'),
+                    err => {
+                        assert.ok(/without its expiry/.test(err.message));
+                    }
+                );
+        });
+    });
+});
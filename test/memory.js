@@ -0,0 +1,255 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const MemoryDriver = require('../src/drivers/memory');
+const JsonSerializer = require('../src/serializers/json');
+const TagSet = require('../src/tagset');
+
+describe('MemoryDriver', function() {
+    const drivers = [];
+
+    function createDriver(driver, serializer) {
+        const created = new MemoryDriver({
+            namespace: 'app',
+            serializer:
+                serializer === undefined ? new JsonSerializer() : serializer,
+            driver
+        });
+        drivers.push(created);
+
+        return created;
+    }
+
+    afterEach(function() {
+        return Promise.map(drivers.splice(0), driver => driver.dispose());
+    });
+
+    describe('eviction', function() {
+        it('rejects an unknown policy', function() {
+            assert.throws(
+                () => createDriver({ policy: 'random' }),
+                /Unknown eviction policy/
+            );
+        });
+
+        it('evicts the least recently used entry', function() {
+            const driver = createDriver({ maxEntries: 2, policy: 'lru' });
+
+            return driver
+                .put('a', 1, 60)
+                .then(() => driver.put('b', 2, 60))
+                .then(() => driver.get('a'))
+                .then(() => driver.put('c', 3, 60))
+                .then(() => driver.getMany(['a', 'b', 'c']))
+                .then(values => {
+                    assert.deepStrictEqual(values, [1, undefined, 3]);
+                    assert.strictEqual(driver.evictions, 1);
+                });
+        });
+
+        it('evicts the least frequently used entry', function() {
+            const driver = createDriver({ maxEntries: 2, policy: 'lfu' });
+
+            return driver
+                .put('a', 1, 60)
+                .then(() => driver.put('b', 2, 60))
+                .then(() => driver.get('a'))
+                .then(() => driver.get('a'))
+                .then(() => driver.get('b'))
+                .then(() => driver.put('c', 3, 60))
+                .then(() => driver.put('d', 4, 60))
+                .then(() => driver.getMany(['a', 'b', 'c', 'd']))
+                .then(values => {
+                    // c is evicted by d before it is read a second time
+                    assert.deepStrictEqual(values, [
+                        1,
+                        undefined,
+                        undefined,
+                        4
+                    ]);
+                    assert.strictEqual(driver.evictions, 2);
+                });
+        });
+
+        it('evicts the entry which expires first', function() {
+            const driver = createDriver({ maxEntries: 2, policy: 'ttl' });
+
+            return driver
+                .put('a', 1, 600)
+                .then(() => driver.put('b', 2, 60))
+                .then(() => driver.put('b', 2, 6000))
+                .then(() => driver.put('c', 3, 300))
+                .then(() => driver.getMany(['a', 'b', 'c']))
+                .then(values => {
+                    assert.deepStrictEqual(values, [undefined, 2, 3]);
+                });
+        });
+
+        it('evicts entries until their bytes fit', function() {
+            const driver = createDriver({ maxBytes: 30 });
+
+            return driver
+                .put('a', 'x'.repeat(10), 60)
+                .then(() => driver.put('b', 'y'.repeat(10), 60))
+                .then(() => {
+                    assert.strictEqual(driver.evictions, 0);
+
+                    return driver.put('c', 'z'.repeat(10), 60);
+                })
+                .then(() => driver.getMany(['a', 'b', 'c']))
+                .then(values => {
+                    assert.deepStrictEqual(values, [
+                        undefined,
+                        'y'.repeat(10),
+                        'z'.repeat(10)
+                    ]);
+                    assert.strictEqual(driver.evictions, 1);
+                    assert.ok(driver.bytes <= 30);
+                });
+        });
+
+        it('evicts when a counter outgrows the bytes', function() {
+            const driver = createDriver({ maxBytes: 6 });
+
+            return driver
+                .put('a', 1, 60)
+                .then(() => driver.put('b', 1, 60))
+                .then(() => driver.increment('b', 1000))
+                .then(() => driver.getMany(['a', 'b']))
+                .then(values => {
+                    assert.deepStrictEqual(values, [undefined, 1001]);
+                });
+        });
+
+        it('measures values kept without a serializer by their JSON form', function() {
+            const driver = createDriver({ maxBytes: 1000 }, null);
+            const value = { name: 'x'.repeat(100) };
+
+            return driver.put('a', value, 60).then(() => {
+                assert.strictEqual(
+                    driver.bytes,
+                    Buffer.byteLength('a') +
+                        Buffer.byteLength(JSON.stringify(value))
+                );
+            });
+        });
+
+        it('evicts large objects kept without a serializer', function() {
+            const driver = createDriver({ maxBytes: 300 }, null);
+
+            return driver
+                .put('a', { name: 'x'.repeat(200) }, 60)
+                .then(() => driver.put('b', { name: 'y'.repeat(200) }, 60))
+                .then(() => driver.has('a'))
+                .then(exists => {
+                    assert.strictEqual(exists, false);
+                    assert.strictEqual(driver.evictions, 1);
+                });
+        });
+
+        it('announces evicted entries with their tags', function() {
+            const driver = createDriver({ maxEntries: 1 });
+            const tagset = new TagSet('users');
+            const evicted = [];
+            driver.on('evicted', event => evicted.push(event));
+
+            return driver
+                .put('a', 1, 60, tagset)
+                .then(() => driver.put('b', 2, 60))
+                .then(() => {
+                    assert.deepStrictEqual(evicted, [
+                        { key: 'a', tags: ['users'] }
+                    ]);
+                });
+        });
+    });
+
+    describe('expiry', function() {
+        it('sweeps expired entries in expiry order', function() {
+            const driver = createDriver();
+            const expired = [];
+            driver.on('expired', event => expired.push(event.key));
+
+            return driver
+                .put('b', 2, 0.02)
+                .then(() => driver.put('a', 1, 0.01))
+                .then(() => driver.put('c', 3, 60))
+                .delay(30)
+                .then(() => {
+                    driver.sweep();
+                    assert.deepStrictEqual(expired, ['a', 'b']);
+                    assert.deepStrictEqual(Array.from(driver.entries.keys()), [
+                        'c'
+                    ]);
+                    assert.strictEqual(driver.heap.size, 1);
+                });
+        });
+
+        it('keeps an overwritten entry whose first expiry is still in the heap', function() {
+            const driver = createDriver();
+            const expired = [];
+            driver.on('expired', event => expired.push(event.key));
+
+            return driver
+                .put('a', 1, 0.01)
+                .then(() => driver.put('a', 2, 60))
+                .then(() => {
+                    assert.strictEqual(driver.heap.size, 2);
+                })
+                .delay(20)
+                .then(() => {
+                    driver.sweep();
+                    assert.deepStrictEqual(expired, []);
+                    assert.strictEqual(driver.heap.size, 1);
+
+                    return driver.get('a');
+                })
+                .then(value => {
+                    assert.strictEqual(value, 2);
+                });
+        });
+
+        it('rebuilds a heap full of outdated items', function() {
+            const driver = createDriver();
+
+            return Promise.each(Array.from({ length: 1100 }), (_, i) =>
+                driver.put('a', i, 60 + i)
+            ).then(() => {
+                driver.sweep();
+                assert.strictEqual(driver.heap.size, 1);
+                assert.strictEqual(driver.heap.peek().key, 'a');
+            });
+        });
+
+        it('stops sweeping once disposed', function() {
+            const sweep = MemoryDriver.prototype.sweep;
+            let sweeps = 0;
+            MemoryDriver.prototype.sweep = function() {
+                sweeps++;
+
+                return sweep.call(this);
+            };
+            let driver;
+            try {
+                driver = new MemoryDriver({ driver: { interval: 5 } });
+            } finally {
+                MemoryDriver.prototype.sweep = sweep;
+            }
+            let disposed;
+
+            return Promise.delay(30)
+                .then(() => {
+                    assert.ok(sweeps > 0);
+
+                    return driver.dispose();
+                })
+                .then(() => {
+                    disposed = sweeps;
+                    assert.strictEqual(driver.timer, undefined);
+                })
+                .delay(30)
+                .then(() => {
+                    assert.strictEqual(sweeps, disposed);
+                });
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const MsgpackSerializer = require('../src/serializers/msgpack');
+const RedisDriver = require('../src/drivers/redis');
+const MemcachedDriver = require('../src/drivers/memcached');
+const FakeRedis = require('./support/redis');
+const FakeMemcached = require('./support/memcached');
+
+/**
+ * Bytes which are hex digits in ASCII
+ */
+const HEX = Array.from('0123456789abcdef', digit => digit.charCodeAt(0));
+
+const values = [
+    { at: new Date(0), data: Buffer.from([0, 13, 10, 255]), ratio: 1.5 },
+    [1, 'two', null, true],
+    'text',
+    48,
+    102,
+    -1,
+    70000
+];
+
+describe('MsgpackSerializer', function() {
+    const serializer = new MsgpackSerializer();
+
+    it('writes values as Buffers', function() {
+        values.forEach(value => {
+            const payload = serializer.serialize(value);
+
+            assert.ok(Buffer.isBuffer(payload));
+            assert.deepStrictEqual(serializer.deserialize(payload), value);
+        });
+        assert.strictEqual(serializer.serialize(undefined), undefined);
+    });
+
+    describe('legacy hex payloads', function() {
+        it('reads hex strings and hex Buffers written by earlier versions', function() {
+            values.forEach(value => {
+                const hex = serializer.serialize(value).toString('hex');
+
+                assert.deepStrictEqual(serializer.deserialize(hex), value);
+                assert.deepStrictEqual(
+                    serializer.deserialize(Buffer.from(hex)),
+                    value
+                );
+            });
+        });
+
+        it('reads binary payloads which are hex digits as binary', function() {
+            HEX.forEach(byte => {
+                assert.strictEqual(
+                    serializer.deserialize(Buffer.from([byte])),
+                    byte
+                );
+                assert.strictEqual(
+                    serializer.deserialize(
+                        Buffer.from(Buffer.from([byte]).toString('hex'))
+                    ),
+                    byte
+                );
+            });
+        });
+
+        it('only writes integers of one byte starting with a hex digit', function() {
+            const integers = Array.from({ length: 70200 }, (_, i) => i - 200);
+            const samples = [1.5, -0.5, 2 ** 40, '', 'a', {}, [], null]
+                .concat(values)
+                .concat(integers);
+
+            samples.forEach(value => {
+                const payload = serializer.serialize(value);
+                if (HEX.includes(payload[0])) {
+                    assert.strictEqual(payload.length, 1, String(value));
+                }
+            });
+        });
+    });
+
+    describe('drivers', function() {
+        function createRedis(store, driver) {
+            const created = new RedisDriver({
+                namespace: 'app',
+                serializer: new MsgpackSerializer(),
+                driver: Object.assign({ host: '127.0.0.1', port: 6379 }, driver)
+            });
+            created.redis.end(false);
+            created.redis = new FakeRedis(
+                store,
+                Object.assign({ prefix: created.prefix }, driver)
+            );
+
+            return created;
+        }
+
+        function createMemcached() {
+            const created = new MemcachedDriver({
+                namespace: 'app',
+                serializer: new MsgpackSerializer(),
+                driver: { location: '127.0.0.1:11211' }
+            });
+            created.memcached.end();
+            created.memcached = new FakeMemcached();
+
+            return created;
+        }
+
+        function roundTrip(driver) {
+            const items = values.map((value, i) => ({ key: `k${i}`, value }));
+
+            return Promise.each(items, item =>
+                driver.put(item.key, item.value, 60)
+            )
+                .then(() => Promise.map(items, item => driver.get(item.key)))
+                .then(results => {
+                    assert.deepStrictEqual(
+                        results,
+                        items.map(item => item.value)
+                    );
+
+                    return driver.getMany(items.map(item => item.key));
+                })
+                .then(results => {
+                    assert.deepStrictEqual(
+                        results,
+                        items.map(item => item.value)
+                    );
+                });
+        }
+
+        it('round-trips binary payloads through redis detecting buffers', function() {
+            const store = new Map();
+
+            return roundTrip(createRedis(store)).then(() => {
+                assert.ok(Buffer.isBuffer(store.get('appk0').value));
+            });
+        });
+
+        it('round-trips binary payloads through redis returning buffers', function() {
+            return roundTrip(createRedis(new Map(), { return_buffers: true }));
+        });
+
+        it('round-trips binary payloads through memcached', function() {
+            return roundTrip(createMemcached());
+        });
+
+        it('reads hex strings stored in redis by earlier versions', function() {
+            const store = new Map();
+            const driver = createRedis(store);
+            store.set('appa', {
+                value: serializer.serialize(values[0]).toString('hex'),
+                expires: 0
+            });
+            store.set('appb', {
+                value: serializer.serialize(48).toString('hex'),
+                expires: 0
+            });
+
+            return driver.getMany(['a', 'b']).then(results => {
+                assert.deepStrictEqual(results, [values[0], 48]);
+            });
+        });
+    });
+});
@@ -0,0 +1,247 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const MultiFormatSerializer = require('../src/serializers/multiformat');
+const JsonSerializer = require('../src/serializers/json');
+const TypedJsonSerializer = require('../src/serializers/typed');
+const MsgpackSerializer = require('../src/serializers/msgpack');
+const MemoryDriver = require('../src/drivers/memory');
+
+function createSerializer(format, serializer, options) {
+    return new MultiFormatSerializer(
+        Object.assign({ serializer, format }, options)
+    );
+}
+
+describe('MultiFormatSerializer', function() {
+    const value = { name: 'a', list: [1, 2] };
+
+    it('requires a serializer and a format name', function() {
+        assert.throws(
+            () => new MultiFormatSerializer({ format: 'json' }),
+            /A valid serializer must be provided/
+        );
+        assert.throws(
+            () => createSerializer('js\u0003on', new JsonSerializer()),
+            /A valid format name must be provided/
+        );
+    });
+
+    describe('headers', function() {
+        it('names the format of text payloads in their header', function() {
+            const serializer = createSerializer('json', new JsonSerializer());
+            const payload = serializer.serialize(value);
+
+            assert.strictEqual(
+                payload,
+                `\u0003json\u0003${JSON.stringify(value)}`
+            );
+            assert.strictEqual(serializer.formatOf(payload), 'json');
+            assert.deepStrictEqual(serializer.deserialize(payload), value);
+        });
+
+        it('names the format of binary payloads in their header', function() {
+            const serializer = createSerializer(
+                'msgpack',
+                new MsgpackSerializer()
+            );
+            const payload = serializer.serialize(value);
+
+            assert.ok(Buffer.isBuffer(payload));
+            assert.strictEqual(
+                payload.slice(0, 9).toString(),
+                '\u0003msgpack\u0003'
+            );
+            assert.strictEqual(serializer.formatOf(payload), 'msgpack');
+            assert.deepStrictEqual(serializer.deserialize(payload), value);
+        });
+
+        it('writes bare payloads when headers are off', function() {
+            const serializer = createSerializer('json', new JsonSerializer(), {
+                header: false
+            });
+            const payload = serializer.serialize(value);
+
+            assert.strictEqual(payload, JSON.stringify(value));
+            assert.strictEqual(serializer.formatOf(payload), undefined);
+            assert.deepStrictEqual(serializer.deserialize(payload), value);
+        });
+
+        it('treats payloads of an unknown format as missing', function() {
+            const serializer = createSerializer('json', new JsonSerializer());
+
+            assert.strictEqual(
+                serializer.deserialize('\u0003yaml\u0003name: a'),
+                undefined
+            );
+            assert.strictEqual(
+                serializer.deserialize(Buffer.from('\u0003yaml\u0003name: a')),
+                undefined
+            );
+        });
+    });
+
+    describe('readers', function() {
+        it('reads payloads by the serializer of their header', function() {
+            const serializer = createSerializer('json', new JsonSerializer(), {
+                readers: [['msgpack', new MsgpackSerializer()]]
+            });
+            const payload = createSerializer(
+                'msgpack',
+                new MsgpackSerializer()
+            ).serialize(value);
+
+            assert.ok(serializer.binary);
+            assert.deepStrictEqual(serializer.deserialize(payload), value);
+            assert.deepStrictEqual(
+                serializer.deserialize(
+                    Buffer.from(serializer.serialize(value))
+                ),
+                value
+            );
+        });
+
+        it('reads bare payloads by the first serializer able to decode them', function() {
+            // text readers go first, a binary reader decodes the first byte of any text
+            const serializer = createSerializer('json', new JsonSerializer(), {
+                readers: [
+                    ['typed-json', new TypedJsonSerializer()],
+                    ['msgpack', new MsgpackSerializer()]
+                ]
+            });
+            const date = new Date(0);
+
+            assert.deepStrictEqual(
+                serializer.deserialize(new MsgpackSerializer().serialize(date)),
+                date
+            );
+            assert.deepStrictEqual(
+                serializer.deserialize(
+                    Buffer.from(new TypedJsonSerializer().serialize(date))
+                ),
+                date
+            );
+            assert.throws(() => serializer.deserialize('{'));
+        });
+
+        it('finds payloads of another format outdated once it reencodes', function() {
+            const readers = [['msgpack', new MsgpackSerializer()]];
+            const serializer = createSerializer('json', new JsonSerializer(), {
+                readers,
+                reencode: true
+            });
+            const payload = createSerializer(
+                'msgpack',
+                new MsgpackSerializer()
+            ).serialize(value);
+
+            assert.ok(serializer.rewrites);
+            assert.ok(serializer.outdated(payload));
+            assert.ok(serializer.outdated(JSON.stringify(value)));
+            assert.ok(!serializer.outdated(serializer.serialize(value)));
+            assert.ok(!serializer.outdated('\u0003yaml\u0003name: a'));
+            assert.ok(
+                !createSerializer('json', new JsonSerializer(), {
+                    readers
+                }).outdated(payload)
+            );
+        });
+
+        it('rewrites stored payloads of another format once read', function() {
+            const driver = new MemoryDriver({
+                namespace: 'app',
+                serializer: new MsgpackSerializer()
+            });
+
+            return driver
+                .put('a', value, 60)
+                .then(() => {
+                    driver.serializer = createSerializer(
+                        'json',
+                        new JsonSerializer(),
+                        {
+                            readers: [['msgpack', new MsgpackSerializer()]],
+                            reencode: true
+                        }
+                    );
+
+                    return driver.get('a');
+                })
+                .then(result => {
+                    assert.deepStrictEqual(result, value);
+                })
+                .delay(10)
+                .then(() => {
+                    assert.strictEqual(
+                        driver.entries.get('a').value,
+                        `\u0003json\u0003${JSON.stringify(value)}`
+                    );
+
+                    return driver.get('a');
+                })
+                .then(result => {
+                    assert.deepStrictEqual(result, value);
+
+                    return driver.dispose();
+                });
+        });
+    });
+
+    describe('integers', function() {
+        it('leaves integers bare when every reader is numeric', function() {
+            const serializer = createSerializer('json', new JsonSerializer(), {
+                readers: [['typed-json', new TypedJsonSerializer()]],
+                reencode: true
+            });
+
+            assert.strictEqual(serializer.serialize(5), '5');
+            assert.strictEqual(serializer.serialize(-5), '-5');
+            assert.strictEqual(
+                serializer.serialize(1.5),
+                '\u0003json\u00031.5'
+            );
+            assert.strictEqual(serializer.deserialize('5'), 5);
+            assert.ok(!serializer.outdated('5'));
+        });
+
+        it('writes integers with a header when a reader is not numeric', function() {
+            const serializer = createSerializer('json', new JsonSerializer(), {
+                readers: [['msgpack', new MsgpackSerializer()]],
+                reencode: true
+            });
+
+            assert.strictEqual(serializer.serialize(5), '\u0003json\u00035');
+            assert.strictEqual(serializer.deserialize('\u0003json\u00035'), 5);
+            assert.ok(serializer.outdated('5'));
+        });
+
+        it('lets drivers update counters in place only with bare integers', function() {
+            const drivers = [
+                [['typed-json', new TypedJsonSerializer()]],
+                [['msgpack', new MsgpackSerializer()]]
+            ].map(
+                readers =>
+                    new MemoryDriver({
+                        serializer: createSerializer(
+                            'json',
+                            new JsonSerializer(),
+                            { readers }
+                        )
+                    })
+            );
+
+            assert.strictEqual(drivers[0].numeric, true);
+            assert.strictEqual(drivers[1].numeric, false);
+
+            return Promise.map(drivers, driver =>
+                driver
+                    .increment('hits', 2)
+                    .then(() => driver.get('hits'))
+                    .then(hits => {
+                        assert.strictEqual(hits, 2);
+
+                        return driver.dispose();
+                    })
+            );
+        });
+    });
+});
@@ -0,0 +1,396 @@
+const assert = require('assert');
+const RedisDriver = require('../src/drivers/redis');
+const Promise = require('bluebird');
+const JsonSerializer = require('../src/serializers/json');
+const MsgpackSerializer = require('../src/serializers/msgpack');
+const TagSet = require('../src/tagset');
+const FakeRedis = require('./support/redis');
+const FakeCluster = require('./support/cluster');
+
+function createDriver(store, namespace, driver, serializer) {
+    driver = new RedisDriver({
+        namespace,
+        serializer: serializer || new JsonSerializer(),
+        driver:
+            driver === undefined ? { host: '127.0.0.1', port: 6379 } : driver
+    });
+    driver.redis.end(false);
+    driver.redis = new FakeRedis(store, driver.prefix);
+
+    return driver;
+}
+
+function createCluster(stores, namespace, driver, serializer) {
+    driver = new RedisDriver({
+        namespace,
+        serializer: serializer || new JsonSerializer(),
+        driver: Object.assign(
+            {
+                cluster: [{ host: '127.0.0.1', port: 7000 }],
+                clusterOptions: { lazyConnect: true }
+            },
+            driver
+        )
+    });
+    driver.redis.disconnect();
+    driver.redis = new FakeCluster(stores, { keyPrefix: driver.prefix });
+
+    return driver;
+}
+
+/**
+ * Get the index of the master storing a full key
+ */
+function masterOf(stores, key) {
+    return stores.findIndex(store => store.has(key));
+}
+
+describe('RedisDriver', function() {
+    describe('prefix', function() {
+        it('prefixes keys with the bare namespace like earlier versions', function() {
+            const store = new Map();
+            const driver = createDriver(store, 'app');
+
+            return driver
+                .put('a', 1, 60)
+                .then(() => driver.acquire('job', 'first', 60))
+                .then(() => {
+                    assert.ok(store.has('appa'));
+                    assert.ok(store.has('applock:job'));
+                });
+        });
+    });
+
+    describe('flush', function() {
+        it('only clears the keys of its own namespace with a separator', function() {
+            const store = new Map();
+            const options = { host: '127.0.0.1', port: 6379, separator: ':' };
+            const app = createDriver(store, 'app', options);
+            const app2 = createDriver(store, 'app2', options);
+            store.set('apple', { value: '"fruit"', expires: 0 });
+
+            return app
+                .put('a', 1, 60)
+                .then(() => app2.put('b', 2, 60))
+                .then(() => app.flush())
+                .then(() => Promise.all([app.get('a'), app2.get('b')]))
+                .then(([a, b]) => {
+                    assert.strictEqual(a, null);
+                    assert.strictEqual(b, 2);
+                    assert.ok(store.has('apple'));
+                });
+        });
+
+        it('keeps the locks of the namespace', function() {
+            const store = new Map();
+            const driver = createDriver(store, 'app');
+
+            return driver
+                .acquire('job', 'first', 60)
+                .then(() => driver.flush())
+                .then(() => driver.acquire('job', 'second', 60))
+                .then(acquired => {
+                    assert.strictEqual(acquired, false);
+                });
+        });
+    });
+
+    describe('locks', function() {
+        it('keeps the locks of namespaces apart', function() {
+            const store = new Map();
+            const app = createDriver(store, 'app');
+            const other = createDriver(store, 'other', null);
+
+            return app
+                .acquire('job', 'first', 60)
+                .then(() => other.acquire('job', 'second', 60))
+                .then(acquired => {
+                    assert.strictEqual(acquired, true);
+                    assert.ok(store.has('applock:job'));
+                    assert.ok(store.has('otherlock:job'));
+                });
+        });
+    });
+
+    [
+        ['scripts', () => new JsonSerializer()],
+        ['optimistic transactions', () => new MsgpackSerializer()]
+    ].forEach(([name, serializer]) => {
+        describe(`counters updated by ${name}`, function() {
+            it('counts every concurrent increment of two clients', function() {
+                const store = new Map();
+                const drivers = [0, 1].map(() =>
+                    createDriver(store, 'app', undefined, serializer())
+                );
+                const driver = drivers[0];
+
+                return Promise.map(Array.from({ length: 20 }), (_, i) =>
+                    drivers[i % 2].increment('hits', 1)
+                )
+                    .then(values => {
+                        assert.deepStrictEqual(
+                            values.sort((a, b) => a - b),
+                            Array.from({ length: 20 }, (_, i) => i + 1)
+                        );
+
+                        return driver.get('hits');
+                    })
+                    .then(value => {
+                        assert.strictEqual(value, 20);
+                    });
+            });
+
+            it('expires a counter created with a ttl', function() {
+                const store = new Map();
+                const driver = createDriver(
+                    store,
+                    'app',
+                    undefined,
+                    serializer()
+                );
+
+                return driver.increment('hits', 1, undefined, 60).then(() => {
+                    const expires = store.get('apphits').expires;
+                    assert.ok(Math.abs(expires - Date.now() - 60000) < 1000);
+                });
+            });
+
+            it('keeps the ttl of a counter when it is updated', function() {
+                const store = new Map();
+                const driver = createDriver(
+                    store,
+                    'app',
+                    undefined,
+                    serializer()
+                );
+                let expires;
+
+                return driver
+                    .put('hits', 5, 60)
+                    .then(() => {
+                        expires = store.get('apphits').expires;
+
+                        return driver.increment('hits', 2);
+                    })
+                    .then(() => driver.decrement('hits', 1, undefined, 600))
+                    .then(value => {
+                        assert.strictEqual(value, 6);
+                        assert.ok(
+                            Math.abs(store.get('apphits').expires - expires) <
+                                1000
+                        );
+                    });
+            });
+        });
+    });
+
+    describe('cluster', function() {
+        let stores;
+
+        beforeEach(function() {
+            stores = [new Map(), new Map(), new Map()];
+        });
+
+        const items = Array.from({ length: 30 }, (_, i) => ({
+            key: `item:${i}`,
+            value: i + 1
+        }));
+        const keys = items.map(item => item.key);
+
+        it('reads and writes untagged keys of different slots by slot', function() {
+            const driver = createCluster(stores, 'app');
+
+            return new Promise(resolve =>
+                driver.redis.mget(keys.map(key => `app${key}`), resolve)
+            )
+                .then(err => {
+                    // the fake refuses keys of different slots like a cluster does
+                    assert.ok(/CROSSSLOT/.test(err.message));
+
+                    return driver.putMany(items, 60);
+                })
+                .then(() => {
+                    const masters = new Set(
+                        keys.map(key => masterOf(stores, `app${key}`))
+                    );
+                    assert.strictEqual(masters.size, 3);
+
+                    return driver.getMany(keys);
+                })
+                .then(values => {
+                    assert.deepStrictEqual(
+                        values,
+                        items.map(item => item.value)
+                    );
+
+                    return driver.forgetMany(keys);
+                })
+                .then(() => driver.getMany(keys))
+                .then(values => {
+                    assert.ok(values.every(value => value == null));
+                });
+        });
+
+        it('keeps tagged items in the slot of their first tag', function() {
+            const driver = createCluster(stores, 'app');
+            const tagset = new TagSet('users', 'posts');
+
+            return driver
+                .putMany(items, 60, tagset)
+                .then(() => driver.put('extra', 'x', 60, tagset))
+                .then(() => driver.increment('hits', 2, tagset))
+                .then(() => {
+                    const users = masterOf(stores, 'app{tags:users}');
+                    assert.ok(users >= 0);
+                    assert.ok(masterOf(stores, 'app{tags:posts}') >= 0);
+                    keys.concat('extra', 'hits').forEach(key => {
+                        const ref = `app${driver.ref(tagset, key)}`;
+                        assert.ok(ref.startsWith('app{tags:users}'));
+                        assert.strictEqual(masterOf(stores, ref), users);
+                        assert.ok(
+                            stores[users].get('app{tags:users}').value.has(
+                                driver.ref(tagset, key)
+                            )
+                        );
+                    });
+
+                    return driver.getMany(keys.concat('extra'), tagset);
+                })
+                .then(values => {
+                    assert.deepStrictEqual(
+                        values,
+                        items.map(item => item.value).concat('x')
+                    );
+
+                    // flushing the second tag removes items stored in the slot of the first
+                    return driver.flush(new TagSet('posts'));
+                })
+                .then(() =>
+                    Promise.all([
+                        driver.getMany(keys.concat('extra'), tagset),
+                        driver.get('hits', tagset)
+                    ])
+                )
+                .then(([values, hits]) => {
+                    assert.ok(values.every(value => value == null));
+                    assert.strictEqual(hits, null);
+                    assert.strictEqual(
+                        masterOf(stores, 'app{tags:posts}'),
+                        -1
+                    );
+                });
+        });
+
+        it('sweeps the namespace from every master and keeps its locks', function() {
+            const options = { separator: ':' };
+            const app = createCluster(stores, 'app', options);
+            const app2 = createCluster(stores, 'app2', options);
+
+            return Promise.all([
+                app.putMany(items, 60),
+                app.put('tagged', 1, 60, new TagSet('users')),
+                app.acquire('job', 'owner', 60),
+                app2.putMany(items, 60)
+            ])
+                .then(() => app.flush())
+                .then(() => {
+                    const remaining = [].concat(
+                        ...stores.map(store => Array.from(store.keys()))
+                    );
+                    const of = prefix =>
+                        remaining.filter(key => key.startsWith(prefix));
+                    assert.deepStrictEqual(of('app:'), ['app:lock:job']);
+                    assert.strictEqual(of('app2:').length, items.length);
+
+                    return app.acquire('job', 'other', 60);
+                })
+                .then(acquired => {
+                    assert.strictEqual(acquired, false);
+                });
+        });
+
+        it('scans the keys of every master without the prefix', function() {
+            const driver = createCluster(stores, 'app', { separator: ':' });
+            const tagset = new TagSet('users');
+            const scanned = [];
+            const sources = [];
+            const scan = (cursor, pattern, tagset) =>
+                driver.scan(cursor, pattern, tagset).then(page => {
+                    scanned.push(...page.keys);
+                    if (page.cursor) {
+                        sources.push(page.cursor[0]);
+
+                        return scan(page.cursor, pattern, tagset);
+                    }
+                });
+
+            return driver
+                .putMany(items, 60)
+                .then(() => driver.putMany(items.slice(0, 5), 60, tagset))
+                .then(() => driver.acquire('job', 'owner', 60))
+                .then(() => scan(undefined, 'item:*'))
+                .then(() => {
+                    assert.deepStrictEqual(sources, [1, 2]);
+                    assert.deepStrictEqual(scanned.sort(), keys.slice().sort());
+                    scanned.length = 0;
+
+                    return scan(undefined, undefined, tagset);
+                })
+                .then(() => {
+                    assert.deepStrictEqual(
+                        scanned.sort(),
+                        keys.slice(0, 5).sort()
+                    );
+                });
+        });
+
+        it('hands a prefix given without a namespace to the client', function() {
+            const driver = createCluster(stores, undefined, {
+                prefix: 'legacy:'
+            });
+
+            return driver
+                .put('a', 1, 60)
+                .then(() => driver.put('b', 2, 60, new TagSet('users')))
+                .then(() => {
+                    assert.strictEqual(
+                        driver.redis.options.keyPrefix,
+                        'legacy:'
+                    );
+                    assert.ok(masterOf(stores, 'legacy:a') >= 0);
+                    assert.ok(masterOf(stores, 'legacy:{tags:users}') >= 0);
+
+                    return driver.flush();
+                })
+                .then(() => {
+                    assert.ok(stores.every(store => !store.size));
+                });
+        });
+
+        it('counts concurrent increments of tagged counters in transactions', function() {
+            const tagset = new TagSet('users');
+            const drivers = [0, 1].map(() =>
+                createCluster(
+                    stores,
+                    'app',
+                    undefined,
+                    new MsgpackSerializer()
+                )
+            );
+
+            return Promise.map(Array.from({ length: 10 }), (_, i) =>
+                drivers[i % 2].increment('hits', 1, tagset)
+            )
+                .then(() => drivers[0].get('hits', tagset))
+                .then(value => {
+                    assert.strictEqual(value, 10);
+
+                    return drivers[1].flush(tagset);
+                })
+                .then(() => drivers[0].get('hits', tagset))
+                .then(value => {
+                    assert.strictEqual(value, null);
+                });
+        });
+    });
+});
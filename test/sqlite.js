@@ -0,0 +1,143 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const SqliteDriver = require('../src/drivers/sqlite');
+const JsonSerializer = require('../src/serializers/json');
+const TagSet = require('../src/tagset');
+
+describe('SqliteDriver', function() {
+    let dir;
+
+    function createDriver(driver, namespace) {
+        return new SqliteDriver({
+            namespace: namespace || 'app',
+            serializer: new JsonSerializer(),
+            driver: Object.assign(
+                { filename: path.join(dir, 'cache.sqlite') },
+                driver
+            )
+        });
+    }
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tagemup-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('purges expired entries, their tags and expired locks', function() {
+        const driver = createDriver();
+        const count = table =>
+            driver
+                .exclusive(() =>
+                    driver.query('get', `SELECT COUNT(*) AS rows FROM ${table}`)
+                )
+                .then(row => row.rows);
+
+        return driver
+            .put('short', 1, 0.01, new TagSet('users'))
+            .then(() => driver.forever('long', 2, new TagSet('users')))
+            .then(() => driver.acquire('job', 'owner', 0.01))
+            .delay(20)
+            .then(() => driver.sweep())
+            .then(() =>
+                Promise.all(
+                    ['cache', 'cache_tags', 'cache_locks'].map(count)
+                )
+            )
+            .then(counts => {
+                assert.deepStrictEqual(counts, [1, 1, 0]);
+
+                return driver.dispose();
+            });
+    });
+
+    it('rejects queries with the error of the schema', function() {
+        const filename = path.join(dir, 'readonly.sqlite');
+        fs.writeFileSync(filename, '');
+        const driver = createDriver({
+            filename,
+            mode: sqlite3.OPEN_READONLY
+        });
+
+        return driver.get('key').then(
+            () => assert.fail('the query should have failed'),
+            err => {
+                assert.strictEqual(err.code, 'SQLITE_READONLY');
+
+                return driver.dispose();
+            }
+        );
+    });
+
+    it('adds an item unless an unexpired one exists', function() {
+        const driver = createDriver();
+        const tagset = new TagSet('users');
+
+        return driver
+            .add('key', 1, 0.01, tagset)
+            .then(added => {
+                assert.strictEqual(added, true);
+
+                return driver.add('key', 2, 60, tagset);
+            })
+            .then(added => {
+                assert.strictEqual(added, false);
+            })
+            .delay(20)
+            .then(() => driver.add('key', 3, 60, tagset))
+            .then(added => {
+                assert.strictEqual(added, true);
+
+                return driver.get('key', tagset);
+            })
+            .then(value => {
+                assert.strictEqual(value, 3);
+
+                return driver.dispose();
+            });
+    });
+
+    it('only flushes the entries of its own namespace', function() {
+        const app = createDriver();
+        const other = createDriver(undefined, 'app2');
+
+        return app
+            .put('key', 1, 60)
+            .then(() => other.put('key', 2, 60))
+            .then(() => app.flush())
+            .then(() => Promise.all([app.get('key'), other.get('key')]))
+            .then(([own, others]) => {
+                assert.strictEqual(own, undefined);
+                assert.strictEqual(others, 2);
+
+                return app.flushAll();
+            })
+            .then(() => other.get('key'))
+            .then(value => {
+                assert.strictEqual(value, undefined);
+
+                return Promise.all([app.dispose(), other.dispose()]);
+            });
+    });
+
+    it('waits for the writes of another connection to the file', function() {
+        const drivers = [createDriver(), createDriver()];
+
+        return Promise.all(
+            Array.from({ length: 20 }, (_, i) =>
+                drivers[i % 2].increment('hits', 1)
+            )
+        )
+            .then(() => drivers[0].get('hits'))
+            .then(value => {
+                assert.strictEqual(value, 20);
+
+                return Promise.all(drivers.map(driver => driver.dispose()));
+            });
+    });
+});
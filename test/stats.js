@@ -0,0 +1,163 @@
+const assert = require('assert');
+const tagemup = require('..');
+const Stats = require('../src/stats');
+
+describe('Stats', function() {
+    describe('counters', function() {
+        it('counts events in total, per operation and per tag', function() {
+            const stats = new Stats();
+            stats.record('hit', 'get', ['users', 'posts'], 'MemoryDriver');
+            stats.record('miss', 'get', ['users'], 'MemoryDriver');
+            stats.record('write', 'put', [], 'MemoryDriver');
+            stats.record('evicted', 'put', ['posts'], 'MemoryDriver');
+            stats.record('error', 'get', [], 'MemoryDriver');
+            // events without a counter are only timed
+            stats.record('forget', 'forget', ['users'], 'MemoryDriver');
+            stats.record(undefined, 'add', ['users'], 'MemoryDriver');
+
+            const snapshot = stats.snapshot();
+            assert.strictEqual(snapshot.hits, 1);
+            assert.strictEqual(snapshot.misses, 1);
+            assert.strictEqual(snapshot.writes, 1);
+            assert.strictEqual(snapshot.evictions, 1);
+            assert.strictEqual(snapshot.errors, 1);
+            const counts = (hits, misses, writes, evictions, errors) => ({
+                hits,
+                misses,
+                writes,
+                evictions,
+                errors
+            });
+            assert.deepStrictEqual(snapshot.operations, {
+                get: counts(1, 1, 0, 0, 1),
+                put: counts(0, 0, 1, 1, 0)
+            });
+            assert.deepStrictEqual(snapshot.tags, {
+                users: counts(1, 1, 0, 0, 0),
+                posts: counts(1, 0, 0, 1, 0)
+            });
+        });
+
+        it('hands out copies which later events leave alone', function() {
+            const stats = new Stats();
+            stats.record('hit', 'get', ['users'], 'MemoryDriver', 1);
+            const snapshot = stats.snapshot();
+            stats.record('hit', 'get', ['users'], 'MemoryDriver', 1);
+
+            assert.strictEqual(snapshot.hits, 1);
+            assert.strictEqual(snapshot.operations.get.hits, 1);
+            assert.strictEqual(snapshot.tags.users.hits, 1);
+            assert.strictEqual(snapshot.latency.MemoryDriver.get.count, 1);
+        });
+
+        it('counts the operations of a cache and its tagged caches', function() {
+            const cache = tagemup({
+                driver: { type: ':memory:' },
+                serializer: 'json',
+                namespace: 'app',
+                ttl: 60
+            });
+
+            return cache
+                .put('a', 1)
+                .then(() => cache.get('a'))
+                .then(() => cache.tags(['users']).get('b'))
+                .then(() => {
+                    const snapshot = cache.stats();
+                    assert.strictEqual(snapshot.writes, 1);
+                    assert.strictEqual(snapshot.hits, 1);
+                    assert.strictEqual(snapshot.misses, 1);
+                    assert.strictEqual(snapshot.tags.users.misses, 1);
+
+                    return cache.driver.dispose();
+                });
+        });
+    });
+
+    describe('latency', function() {
+        it('keeps a cumulative histogram per driver and operation', function() {
+            const stats = new Stats();
+            [0.2, 0.5, 3, 40, 5000].forEach(duration =>
+                stats.record('hit', 'get', [], 'RedisDriver', duration)
+            );
+            stats.record('write', 'put', [], 'RedisDriver', 2);
+            // batch calls are timed once
+            stats.record('hit', 'get', [], 'RedisDriver');
+
+            const { latency } = stats.snapshot();
+            const get = latency.RedisDriver.get;
+            assert.strictEqual(get.count, 5);
+            assert.strictEqual(get.sum, 5043.7);
+            assert.strictEqual(get.buckets['0.5'], 2);
+            assert.strictEqual(get.buckets['1'], 2);
+            assert.strictEqual(get.buckets['5'], 3);
+            assert.strictEqual(get.buckets['50'], 4);
+            assert.strictEqual(get.buckets['2500'], 4);
+            assert.strictEqual(get.buckets['+Inf'], 5);
+            const counts = Object.keys(get.buckets)
+                .sort((a, b) => Number(a) - Number(b))
+                .map(bound => get.buckets[bound]);
+            counts.reduce((previous, count) => {
+                assert.ok(count >= previous);
+
+                return count;
+            });
+            assert.strictEqual(latency.RedisDriver.put.count, 1);
+        });
+    });
+
+    describe('render', function() {
+        it('renders counters and histograms in the Prometheus format', function() {
+            const stats = new Stats();
+            stats.record('hit', 'get', ['users'], 'MemoryDriver', 2);
+            stats.record('miss', 'get', ['users'], 'MemoryDriver', 20);
+
+            const lines = Stats.render(stats.snapshot(), 'app').split('\n');
+            assert.ok(lines.includes('# TYPE app_hits_total counter'));
+            assert.ok(lines.includes('app_hits_total{operation="get"} 1'));
+            assert.ok(lines.includes('app_tag_misses_total{tag="users"} 1'));
+            assert.ok(
+                lines.includes(
+                    '# TYPE app_driver_call_duration_seconds histogram'
+                )
+            );
+            const buckets = lines.filter(line =>
+                line.startsWith('app_driver_call_duration_seconds_bucket')
+            );
+            assert.deepStrictEqual(
+                buckets.map(line => Number(line.split(' ')[1])),
+                [0, 0, 1, 1, 1, 2, 2, 2, 2, 2, 2, 2, 2]
+            );
+            assert.strictEqual(
+                buckets[2],
+                'app_driver_call_duration_seconds_bucket{driver="MemoryDriver",operation="get",le="0.0025"} 1'
+            );
+            assert.strictEqual(
+                buckets[12],
+                'app_driver_call_duration_seconds_bucket{driver="MemoryDriver",operation="get",le="+Inf"} 2'
+            );
+            assert.ok(
+                lines.includes(
+                    'app_driver_call_duration_seconds_sum{driver="MemoryDriver",operation="get"} 0.022'
+                )
+            );
+            assert.ok(
+                lines.includes(
+                    'app_driver_call_duration_seconds_count{driver="MemoryDriver",operation="get"} 2'
+                )
+            );
+            assert.strictEqual(lines[lines.length - 1], '');
+        });
+
+        it('escapes label values', function() {
+            const stats = new Stats();
+            stats.record('hit', 'get', ['a"b\\c\nd'], 'MemoryDriver');
+
+            assert.ok(
+                Stats.render(stats.snapshot())
+                    .split('\n')
+                    .includes('tagemup_tag_hits_total{tag="a\\"b\\\\c\\nd"} 1')
+            );
+        });
+    });
+});
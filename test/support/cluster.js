@@ -0,0 +1,215 @@
+const FakeRedis = require('./redis');
+
+/**
+ * Number of slots of a Redis Cluster
+ */
+const SLOTS = 16384;
+
+/**
+ * Compute the CRC16 (XMODEM) checksum Redis Cluster hashes keys with
+ *
+ * @param {String} text
+ * @returns {Number}
+ */
+function crc16(text) {
+    let crc = 0;
+    for (const byte of Buffer.from(text)) {
+        crc ^= byte << 8;
+        for (let i = 0; i < 8; i++) {
+            crc = (crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1) & 0xffff;
+        }
+    }
+
+    return crc;
+}
+
+/**
+ * Get the slot of a full key, keys with a hash tag are hashed by the tag only
+ *
+ * @param {String} key
+ * @returns {Number}
+ */
+function slotOf(key) {
+    const start = key.indexOf('{');
+    const end = start >= 0 ? key.indexOf('}', start + 1) : -1;
+
+    return crc16(end > start + 1 ? key.slice(start + 1, end) : key) % SLOTS;
+}
+
+/**
+ * In-process stand-in for an ioredis cluster client over masters which own even ranges of slots.
+ * Commands are routed to the master of the slot of their keys, and fail like they do on a cluster
+ * when their keys, or the keys of a transaction or pipeline, belong to different slots.
+ * The prefix of the client is added to keys before they are hashed, and the clients of the masters do not prefix keys
+ */
+module.exports = class FakeCluster {
+
+    /**
+     * @param {Array<Map<String, {value: any, expires: Number}>>} stores one store per master
+     * @param {{keyPrefix?: String}} [options]
+     */
+    constructor(stores, options) {
+        this.stores = stores;
+        this.options = Object.assign({}, options);
+        // every connection to the cluster keeps its own connections to the masters, and so its own watched keys
+        this.connections = stores.map(
+            store =>
+                new FakeRedis(store, {
+                    ioredis: true,
+                    keyPrefix: this.options.keyPrefix
+                })
+        );
+        this.masters = stores.map(
+            store => new FakeRedis(store, { ioredis: true })
+        );
+        FakeRedis.commands.forEach(name => {
+            this[name] = (...args) => this.call(name, args, name);
+        });
+        ['get', 'mget'].forEach(name => {
+            this[`${name}Buffer`] = (...args) =>
+                this.call(name, args, `${name}Buffer`);
+        });
+    }
+
+    /**
+     * Get the index of the master of a slot
+     *
+     * @param {Number} slot
+     * @returns {Number}
+     */
+    masterOf(slot) {
+        return Math.floor((slot * this.stores.length) / SLOTS);
+    }
+
+    /**
+     * Get the slot shared by the keys of commands
+     *
+     * @param {Array<{name: String, args: Array<any>}>} commands
+     * @returns {Number} undefined without keys
+     * @throws {Error} if the keys belong to different slots
+     */
+    slotOf(commands) {
+        const slots = new Set();
+        commands.forEach(({ name, args }) => {
+            this.connections[0]
+                .keysOf(name, args)
+                .forEach(key => slots.add(slotOf(key)));
+        });
+        if (slots.size > 1) {
+            throw new Error(
+                "CROSSSLOT Keys in request don't hash to the same slot"
+            );
+        }
+
+        return slots.values().next().value;
+    }
+
+    /**
+     * Route a command to the master of its slot
+     *
+     * @param {String} name
+     * @param {Array<any>} args
+     * @param {String} method method of the client which runs the command
+     */
+    call(name, args, method) {
+        const callback =
+            typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        let slot;
+        try {
+            slot = this.slotOf([{ name, args }]);
+        } catch (err) {
+            return setImmediate(() => callback && callback(err));
+        }
+        if (slot !== undefined) {
+            return this.connections[this.masterOf(slot)][method](
+                ...args,
+                callback
+            );
+        }
+        // commands without keys, such as UNWATCH, are sent to every master
+        this.connections.forEach((connection, index) =>
+            connection[method](...args, index ? undefined : callback)
+        );
+    }
+
+    /**
+     * Queue commands to be sent together to the master of their slot
+     *
+     * @param {Boolean} transaction
+     * @param {Array<Array<any>>} [commands]
+     * @returns {Object}
+     */
+    queue(transaction, commands) {
+        const queued = (commands || []).map(([name, ...args]) => ({
+            name,
+            args,
+            method: name
+        }));
+        const queue = {};
+        FakeRedis.commands.forEach(name => {
+            queue[name] = (...args) => {
+                queued.push({ name, args, method: name });
+
+                return queue;
+            };
+        });
+        ['get', 'mget'].forEach(name => {
+            queue[`${name}Buffer`] = (...args) => {
+                queued.push({ name, args, method: `${name}Buffer` });
+
+                return queue;
+            };
+        });
+        queue.exec = callback => {
+            let slot;
+            try {
+                slot = this.slotOf(queued);
+            } catch (err) {
+                return setImmediate(() => callback(err));
+            }
+            const connection = this.connections[
+                slot === undefined ? 0 : this.masterOf(slot)
+            ];
+            const routed = transaction
+                ? connection.multi()
+                : connection.pipeline();
+            queued.forEach(({ method, args }) => routed[method](...args));
+            routed.exec(callback);
+        };
+
+        return queue;
+    }
+
+    multi() {
+        return this.queue(true);
+    }
+
+    pipeline(commands) {
+        return this.queue(false, commands);
+    }
+
+    /**
+     * Get the clients of the masters
+     *
+     * @param {String} role
+     * @returns {Array<FakeRedis>}
+     */
+    nodes(role) {
+        return role === 'slave' ? [] : this.masters;
+    }
+
+    duplicate() {
+        return new FakeCluster(this.stores, this.options);
+    }
+
+    quit(callback) {
+        if (callback) {
+            setImmediate(callback);
+        }
+    }
+
+    disconnect() {}
+
+};
+
+module.exports.slotOf = slotOf;
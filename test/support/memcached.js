@@ -0,0 +1,148 @@
+/**
+ * In-process stand-in for a memcached client, answering on the next turn of the event loop
+ * so that concurrent commands interleave as they would over the network
+ */
+module.exports = class FakeMemcached {
+
+    constructor() {
+        this.items = new Map();
+        this.version = 0;
+    }
+
+    /**
+     * Get a live item
+     *
+     * @param {String} key
+     * @returns {{value: any, cas: String, expires: Number}}
+     */
+    item(key) {
+        const item = this.items.get(key);
+        if (item && item.expires && item.expires <= Date.now()) {
+            this.items.delete(key);
+
+            return undefined;
+        }
+
+        return item;
+    }
+
+    /**
+     * Store an item, lifetimes of more than 30 days are unix timestamps
+     *
+     * @param {String} key
+     * @param {any} value
+     * @param {Number} lifetime
+     */
+    store(key, value, lifetime) {
+        let expires = 0;
+        if (lifetime > 30 * 24 * 3600) {
+            expires = lifetime * 1000;
+        } else if (lifetime > 0) {
+            expires = Date.now() + lifetime * 1000;
+        }
+        this.items.set(key, { value, cas: String(++this.version), expires });
+    }
+
+    get(key, callback) {
+        setImmediate(() => {
+            const item = this.item(key);
+            callback(undefined, item ? item.value : undefined);
+        });
+    }
+
+    gets(key, callback) {
+        setImmediate(() => {
+            const item = this.item(key);
+            callback(
+                undefined,
+                item ? { [key]: item.value, cas: item.cas } : undefined
+            );
+        });
+    }
+
+    getMulti(keys, callback) {
+        setImmediate(() => {
+            const values = {};
+            keys.forEach(key => {
+                const item = this.item(key);
+                if (item) {
+                    values[key] = item.value;
+                }
+            });
+            callback(undefined, values);
+        });
+    }
+
+    set(key, value, lifetime, callback) {
+        setImmediate(() => {
+            this.store(key, value, lifetime);
+            callback(undefined, true);
+        });
+    }
+
+    add(key, value, lifetime, callback) {
+        setImmediate(() => {
+            if (this.item(key)) {
+                const err = new Error('Item is not stored');
+                err.notStored = true;
+
+                return callback(err, false);
+            }
+            this.store(key, value, lifetime);
+            callback(undefined, true);
+        });
+    }
+
+    cas(key, value, cas, lifetime, callback) {
+        setImmediate(() => {
+            const item = this.item(key);
+            if (!item || item.cas !== cas) {
+                return callback(undefined, false);
+            }
+            this.store(key, value, lifetime);
+            callback(undefined, true);
+        });
+    }
+
+    del(key, callback) {
+        setImmediate(() => callback(undefined, this.items.delete(key)));
+    }
+
+    incr(key, amount, callback) {
+        this.count(key, amount, callback);
+    }
+
+    decr(key, amount, callback) {
+        this.count(key, -amount, callback);
+    }
+
+    count(key, amount, callback) {
+        setImmediate(() => {
+            const item = this.item(key);
+            if (!item) {
+                return callback(undefined, false);
+            }
+            if (!/^\d+$/.test(String(item.value))) {
+                return callback(
+                    new Error(
+                        'cannot increment or decrement non-numeric value'
+                    )
+                );
+            }
+            const value = Math.max(Number(item.value) + amount, 0);
+            item.value = String(value);
+            item.cas = String(++this.version);
+            callback(undefined, value);
+        });
+    }
+
+    flush(callback) {
+        setImmediate(() => {
+            this.items.clear();
+            callback(undefined, [true]);
+        });
+    }
+
+    end() {}
+
+};
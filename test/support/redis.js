@@ -0,0 +1,552 @@
+/**
+ * Translate a Redis glob-style pattern into a regular expression
+ *
+ * @param {String} pattern
+ * @returns {RegExp}
+ */
+function compile(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            source += `\\${pattern[++i]}`;
+        } else if (char === '*') {
+            source += '[\\s\\S]*';
+        } else if (char === '?') {
+            source += '[\\s\\S]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Get a page of names matching the MATCH option of a SCAN or SSCAN.
+ * Cursors are offsets into the sorted names, so that pages can come back empty like they do from Redis
+ *
+ * @param {Array<String>} names
+ * @param {String} cursor
+ * @param {Array<any>} args options following the cursor
+ * @returns {Array<any>}
+ */
+function page(names, cursor, args) {
+    const options = {};
+    for (let i = 0; i < args.length; i += 2) {
+        options[String(args[i]).toUpperCase()] = args[i + 1];
+    }
+    const pattern = compile(String(options.MATCH || '*'));
+    const count = Number(options.COUNT) || 10;
+    const start = Number(cursor);
+    const end = start + count;
+
+    return [
+        end >= names.length ? '0' : String(end),
+        names
+            .sort()
+            .slice(start, end)
+            .filter(name => pattern.test(name))
+    ];
+}
+
+/**
+ * Positions of the keys among the arguments of commands, -1 for every argument.
+ * Keys of scripts follow their number
+ */
+const KEYS = {
+    get: [0],
+    set: [0],
+    del: -1,
+    unlink: -1,
+    exists: -1,
+    pttl: [0],
+    expire: [0],
+    incrby: [0],
+    sadd: [0],
+    srem: [0],
+    smembers: [0],
+    sscan: [0],
+    mget: -1,
+    watch: -1,
+    scan: [],
+    flushall: [],
+    unwatch: [],
+    eval: []
+};
+
+/**
+ * Get the positions of the keys among the arguments of a command
+ *
+ * @param {String} name
+ * @param {Array<any>} args flattened arguments
+ * @returns {Array<Number>}
+ */
+function positionsOf(name, args) {
+    if (name === 'eval') {
+        return Array.from({ length: Number(args[1]) }, (_, i) => i + 2);
+    }
+    const positions = KEYS[name];
+
+    return args
+        .map((arg, index) => index)
+        .filter(
+            index =>
+                positions === -1 || (positions && positions.includes(index))
+        );
+}
+
+/**
+ * In-process stand-in for a node_redis or ioredis client over a store shared by several clients.
+ * Keys of commands are prefixed like the clients do, while SCAN patterns and the keys they find are not.
+ * Replies are Buffers for Buffer arguments with node_redis detect_buffers, and for the Buffer variants of ioredis
+ */
+module.exports = class FakeRedis {
+
+    /**
+     * @param {Map<String, {value: String|Buffer|Set<String>, expires: Number}>} store
+     * @param {String|{prefix?: String, keyPrefix?: String, ioredis?: Boolean, return_buffers?: Boolean}} [options]
+     */
+    constructor(store, options) {
+        this.store = store;
+        this.options =
+            typeof options === 'object' && options
+                ? Object.assign({}, options)
+                : { prefix: options || '' };
+        this.watched = null;
+        Object.keys(KEYS).forEach(name => {
+            this[name] = (...args) => this.call(name, args, false);
+        });
+        this.getBuffer = (...args) => this.call('get', args, true);
+        this.mgetBuffer = (...args) => this.call('mget', args, true);
+    }
+
+    /**
+     * Get the names of the commands which are understood
+     *
+     * @readonly
+     * @static
+     */
+    static get commands() {
+        return Object.keys(KEYS);
+    }
+
+    /**
+     * Get the prefix of the keys of commands
+     *
+     * @returns {String}
+     */
+    get prefix() {
+        return this.options.keyPrefix || this.options.prefix || '';
+    }
+
+    /**
+     * Run a command on the next tick and hand its reply to the callback given last
+     *
+     * @param {String} name
+     * @param {Array<any>} args
+     * @param {Boolean} buffers
+     */
+    call(name, args, buffers) {
+        const callback =
+            typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        setImmediate(() => {
+            let reply;
+            try {
+                reply = this.run(name, args, buffers);
+            } catch (err) {
+                return callback && callback(err);
+            }
+            if (callback) {
+                callback(null, reply);
+            }
+        });
+    }
+
+    /**
+     * Run a command at once
+     *
+     * @param {String} name
+     * @param {Array<any>} args
+     * @param {Boolean} [buffers] reply with Buffers
+     * @returns {any}
+     */
+    run(name, args, buffers) {
+        args = [].concat(...args);
+        buffers =
+            buffers ||
+            !!this.options.return_buffers ||
+            (!this.options.ioredis && args.some(arg => Buffer.isBuffer(arg)));
+        const positions = positionsOf(name, args);
+        const keys = args.map((arg, index) =>
+            positions.includes(index) ? this.prefix + String(arg) : arg
+        );
+        const reply = this.execute(name, keys);
+
+        return Array.isArray(reply)
+            ? reply.map(value => this.reply(value, buffers))
+            : this.reply(reply, buffers);
+    }
+
+    /**
+     * Get the full keys of a command
+     *
+     * @param {String} name
+     * @param {Array<any>} args
+     * @returns {Array<String>}
+     */
+    keysOf(name, args) {
+        args = [].concat(...args);
+
+        return positionsOf(name, args).map(
+            index => this.prefix + String(args[index])
+        );
+    }
+
+    /**
+     * Convert a stored value into a reply
+     *
+     * @param {any} value
+     * @param {Boolean} buffers
+     * @returns {any}
+     */
+    reply(value, buffers) {
+        if (typeof value !== 'string' && !Buffer.isBuffer(value)) {
+            return value;
+        }
+        if (buffers) {
+            return Buffer.from(value);
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Get a live entry, expired entries are dropped on the way
+     *
+     * @param {String} key full key
+     * @returns {{value: String|Buffer|Set<String>, expires: Number}}
+     */
+    entry(key) {
+        const entry = this.store.get(key);
+        if (entry && entry.expires && entry.expires <= Date.now()) {
+            this.store.delete(key);
+
+            return undefined;
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get the string value of a key, failing for sets
+     *
+     * @param {String} key full key
+     * @returns {String|Buffer}
+     */
+    read(key) {
+        const entry = this.entry(key);
+        if (entry && entry.value instanceof Set) {
+            throw new Error(
+                'WRONGTYPE Operation against a key holding the wrong kind of value'
+            );
+        }
+
+        return entry ? entry.value : null;
+    }
+
+    /**
+     * Get the members of a set, failing for strings
+     *
+     * @param {String} key full key
+     * @returns {Set<String>}
+     */
+    members(key) {
+        const entry = this.entry(key);
+        if (entry && !(entry.value instanceof Set)) {
+            throw new Error(
+                'WRONGTYPE Operation against a key holding the wrong kind of value'
+            );
+        }
+
+        return entry ? entry.value : new Set();
+    }
+
+    /**
+     * Store a value as a new entry, so that watching clients see the change
+     *
+     * @param {String} key full key
+     * @param {String|Buffer|Set<String>} value
+     * @param {Number} expires
+     */
+    write(key, value, expires) {
+        if (value instanceof Set && !value.size) {
+            this.store.delete(key);
+
+            return;
+        }
+        this.store.set(key, {
+            value:
+                value instanceof Set || Buffer.isBuffer(value)
+                    ? value
+                    : String(value),
+            expires
+        });
+    }
+
+    /**
+     * Run a command with full keys
+     *
+     * @param {String} name
+     * @param {Array<any>} args
+     * @returns {any}
+     */
+    execute(name, args) {
+        const [key] = args;
+        const entry = key === undefined ? undefined : this.entry(key);
+        switch (name) {
+            case 'get':
+                return this.read(key);
+            case 'mget':
+                return args.map(key => this.read(key));
+            case 'set': {
+                let expires = 0;
+                for (let i = 2; i < args.length; i++) {
+                    const option = String(args[i]).toUpperCase();
+                    if (option === 'EX') {
+                        expires = Date.now() + args[++i] * 1000;
+                    } else if (option === 'PX') {
+                        expires = Date.now() + Number(args[++i]);
+                    } else if (option === 'NX' && entry) {
+                        return null;
+                    }
+                }
+                this.write(key, args[1], expires);
+
+                return 'OK';
+            }
+            case 'del':
+            case 'unlink':
+                return args.filter(
+                    key => this.entry(key) && this.store.delete(key)
+                ).length;
+            case 'exists':
+                return args.filter(key => this.entry(key)).length;
+            case 'pttl':
+                if (!entry) {
+                    return -2;
+                }
+
+                return entry.expires ? entry.expires - Date.now() : -1;
+            case 'expire':
+                if (!entry) {
+                    return 0;
+                }
+                this.write(key, entry.value, Date.now() + args[1] * 1000);
+
+                return 1;
+            case 'incrby': {
+                const current = this.read(key);
+                const text = current === null ? '0' : String(current);
+                if (!/^-?\d+$/.test(text)) {
+                    throw new Error(
+                        'ERR value is not an integer or out of range'
+                    );
+                }
+                const next = Number(text) + Number(args[1]);
+                this.write(key, next, entry ? entry.expires : 0);
+
+                return next;
+            }
+            case 'sadd': {
+                const members = new Set(this.members(key));
+                const size = members.size;
+                args.slice(1).forEach(member => members.add(String(member)));
+                this.write(key, members, entry ? entry.expires : 0);
+
+                return members.size - size;
+            }
+            case 'srem': {
+                const members = new Set(this.members(key));
+                const size = members.size;
+                args.slice(1).forEach(member =>
+                    members.delete(String(member))
+                );
+                this.write(key, members, entry ? entry.expires : 0);
+
+                return size - members.size;
+            }
+            case 'smembers':
+                return Array.from(this.members(key));
+            case 'sscan':
+                return page(Array.from(this.members(key)), args[1], args.slice(2));
+            case 'scan':
+                return page(
+                    Array.from(this.store.keys()).filter(key => this.entry(key)),
+                    args[0],
+                    args.slice(1)
+                );
+            case 'flushall':
+                this.store.clear();
+
+                return 'OK';
+            case 'watch':
+                this.watched = this.watched || new Map();
+                args.forEach(key => {
+                    if (!this.watched.has(key)) {
+                        this.watched.set(key, this.store.get(key));
+                    }
+                });
+
+                return 'OK';
+            case 'unwatch':
+                this.watched = null;
+
+                return 'OK';
+            case 'eval':
+                return this.script(
+                    String(args[0]),
+                    args.slice(2, 2 + Number(args[1])),
+                    args.slice(2 + Number(args[1]))
+                );
+            default:
+                throw new Error(`ERR unknown command '${name}'`);
+        }
+    }
+
+    /**
+     * Run one of the Lua scripts of the driver, which are told apart by the commands they call
+     *
+     * @param {String} script
+     * @param {Array<String>} keys full keys
+     * @param {Array<any>} argv
+     * @returns {any}
+     */
+    script(script, keys, argv) {
+        if (script.includes('INCRBY')) {
+            const created = !this.entry(keys[0]);
+            const value = this.execute('incrby', [keys[0], argv[0]]);
+            if (created && Number(argv[1]) > 0) {
+                this.execute('expire', [keys[0], argv[1]]);
+            }
+            keys.slice(1).forEach(key => this.execute('sadd', [key, argv[2]]));
+
+            return value;
+        }
+        if (script.includes('SUNION')) {
+            const refs = new Set();
+            keys.forEach(key => this.members(key).forEach(ref => refs.add(ref)));
+
+            return this.execute(
+                'del',
+                keys.concat(Array.from(refs).map(ref => String(argv[0]) + ref))
+            );
+        }
+        if (script.includes('PTTL')) {
+            const entry = this.entry(keys[0]);
+            if (!entry || String(entry.value) !== String(argv[0])) {
+                return 0;
+            }
+            this.write(keys[0], argv[1], entry.expires);
+
+            return 1;
+        }
+        if (script.includes('== ARGV[1]') && script.includes('DEL')) {
+            if (String(this.read(keys[0])) !== String(argv[0])) {
+                return 0;
+            }
+
+            return this.execute('del', [keys[0]]);
+        }
+        throw new Error('NOSCRIPT No matching script');
+    }
+
+    /**
+     * Queue commands to be run together, within the watched keys for transactions
+     *
+     * @param {Boolean} transaction
+     * @param {Array<Array<any>>} [commands]
+     * @returns {Object}
+     */
+    queue(transaction, commands) {
+        const queued = (commands || []).map(([name, ...args]) => ({
+            name,
+            args,
+            buffers: false
+        }));
+        const queue = {};
+        Object.keys(KEYS).forEach(name => {
+            queue[name] = (...args) => {
+                queued.push({ name, args, buffers: false });
+
+                return queue;
+            };
+        });
+        ['get', 'mget'].forEach(name => {
+            queue[`${name}Buffer`] = (...args) => {
+                queued.push({ name, args, buffers: true });
+
+                return queue;
+            };
+        });
+        queue.exec = callback => {
+            setImmediate(() => {
+                const watched = transaction ? this.watched : null;
+                if (transaction) {
+                    this.watched = null;
+                }
+                if (
+                    watched &&
+                    Array.from(watched).some(
+                        ([key, entry]) => this.store.get(key) !== entry
+                    )
+                ) {
+                    return callback(null, null);
+                }
+                const replies = queued.map(command => {
+                    try {
+                        const reply = this.run(
+                            command.name,
+                            command.args,
+                            command.buffers
+                        );
+
+                        return this.options.ioredis ? [null, reply] : reply;
+                    } catch (err) {
+                        return this.options.ioredis ? [err, null] : err;
+                    }
+                });
+                callback(null, replies);
+            });
+        };
+
+        return queue;
+    }
+
+    multi() {
+        return this.queue(true);
+    }
+
+    batch() {
+        return this.queue(false);
+    }
+
+    pipeline(commands) {
+        return this.queue(false, commands);
+    }
+
+    duplicate() {
+        return new FakeRedis(this.store, this.options);
+    }
+
+    quit(callback) {
+        if (callback) {
+            setImmediate(callback);
+        }
+    }
+
+    end() {}
+
+    disconnect() {}
+
+};
@@ -0,0 +1,186 @@
+const assert = require('assert');
+const tagemup = require('..');
+const MemoryDriver = require('../src/drivers/memory');
+const JsonSerializer = require('../src/serializers/json');
+const TagSet = require('../src/tagset');
+
+describe('TieredDriver', function() {
+    let remote, caches;
+
+    function createCache(bus) {
+        return tagemup({
+            driver: {
+                type: 'tiered',
+                options: { remote, ttl: 60, bus }
+            },
+            serializer: 'json',
+            namespace: 'app',
+            ttl: 60
+        });
+    }
+
+    beforeEach(function() {
+        remote = new MemoryDriver({
+            namespace: 'app',
+            serializer: new JsonSerializer()
+        });
+        caches = [1, 2].map(() => createCache({ type: 'memory' }));
+    });
+
+    afterEach(function() {
+        return Promise.all(caches.map(cache => cache.driver.dispose()));
+    });
+
+    it('drops the local copies of keys written by another instance', function() {
+        const [first, second] = caches;
+
+        return first
+            .put('key', 1)
+            .then(() => second.get('key'))
+            .then(value => {
+                assert.strictEqual(value, 1);
+
+                return first.put('key', 2);
+            })
+            .then(() => second.get('key'))
+            .then(value => {
+                assert.strictEqual(value, 2);
+            });
+    });
+
+    it('drops the local copies of tags flushed by another instance', function() {
+        const [first, second] = caches;
+
+        return first
+            .tags('users')
+            .put('key', 1)
+            .then(() => second.tags('users').get('key'))
+            .then(value => {
+                assert.strictEqual(value, 1);
+
+                return first.tags('users').flush();
+            })
+            .then(() => second.tags('users').get('key'))
+            .then(value => {
+                assert.strictEqual(value, undefined);
+            });
+    });
+
+    it('drops every local copy when another instance flushes', function() {
+        const [first, second] = caches;
+
+        return first
+            .put('key', 1)
+            .then(() => second.get('key'))
+            .then(() => first.flush())
+            .then(() => second.get('key'))
+            .then(value => {
+                assert.strictEqual(value, undefined);
+            });
+    });
+
+    it('keeps serving local copies without a bus', function() {
+        caches.push(createCache(), createCache());
+        const [, , first, second] = caches;
+
+        return first
+            .put('key', 1)
+            .then(() => second.get('key'))
+            .then(() => first.put('key', 2))
+            .then(() => second.get('key'))
+            .then(value => {
+                assert.strictEqual(value, 1);
+            });
+    });
+
+    it('copies the items found remotely to the local driver', function() {
+        const [cache] = caches;
+        const { local } = cache.driver;
+
+        return remote
+            .putMany([{ key: 'a', value: 1 }, { key: 'b', value: 2 }], 600)
+            .then(() => cache.get('a'))
+            .then(value => {
+                assert.strictEqual(value, 1);
+
+                return cache.many(['b', 'c']);
+            })
+            .then(values => {
+                assert.deepStrictEqual(values, { b: 2, c: undefined });
+                ['a', 'b'].forEach(key => {
+                    const expires = local.entries.get(key).expires;
+                    assert.ok(Math.abs(expires - Date.now() - 60000) < 1000);
+                });
+                assert.strictEqual(local.entries.has('c'), false);
+
+                // local copies are served without asking the remote driver
+                return remote.forgetMany(['a', 'b']);
+            })
+            .then(() => cache.many(['a', 'b']))
+            .then(values => {
+                assert.deepStrictEqual(values, { a: 1, b: 2 });
+            });
+    });
+
+    it('keeps local copies for at most the local ttl', function() {
+        const [cache] = caches;
+        const { local } = cache.driver;
+
+        return cache
+            .put('long', 1, 600)
+            .then(() => cache.put('short', 2, 0.01))
+            .then(() => cache.putMany({ many: 3 }, 600))
+            .then(() => {
+                ['long', 'many'].forEach(key => {
+                    const expires = local.entries.get(key).expires;
+                    assert.ok(Math.abs(expires - Date.now() - 60000) < 1000);
+                });
+                const { expires } = local.entries.get('short');
+                assert.ok(expires <= Date.now() + 10);
+            })
+            .delay(20)
+            .then(() => Promise.all([local.get('short'), remote.get('short')]))
+            .then(([copy, value]) => {
+                assert.strictEqual(copy, undefined);
+                assert.strictEqual(value, undefined);
+            });
+    });
+
+    it('writes tagged items through to both drivers', function() {
+        const [cache] = caches;
+        const { local } = cache.driver;
+        const tagset = new TagSet('users');
+        const users = cache.tags('users');
+
+        return users
+            .put('a', 1)
+            .then(() => users.putMany({ b: 2 }))
+            .then(() =>
+                Promise.all([
+                    remote.getMany(['a', 'b'], tagset),
+                    local.getMany(['a', 'b'], tagset)
+                ])
+            )
+            .then(([remoteValues, localValues]) => {
+                assert.deepStrictEqual(remoteValues, [1, 2]);
+                assert.deepStrictEqual(localValues, [1, 2]);
+
+                return remote.scan(undefined, undefined, tagset);
+            })
+            .then(page => {
+                assert.deepStrictEqual(page.keys.sort(), ['a', 'b']);
+
+                return users.flush();
+            })
+            .then(() =>
+                Promise.all([
+                    remote.getMany(['a', 'b'], tagset),
+                    local.getMany(['a', 'b'], tagset)
+                ])
+            )
+            .then(([remoteValues, localValues]) => {
+                assert.deepStrictEqual(remoteValues, [undefined, undefined]);
+                assert.deepStrictEqual(localValues, [undefined, undefined]);
+            });
+    });
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const TypedJsonSerializer = require('../src/serializers/typed');
+
+describe('TypedJsonSerializer', function() {
+    const serializer = new TypedJsonSerializer();
+
+    it('restores typed values inside of objects', function() {
+        const value = { at: new Date(0), nested: { data: Buffer.from('a') } };
+
+        assert.deepStrictEqual(
+            serializer.deserialize(serializer.serialize(value)),
+            value
+        );
+    });
+
+    it('keeps a stored __proto__ key as a property', function() {
+        const value = serializer.deserialize(
+            '{"__proto__":{"polluted":true},"a":1}'
+        );
+
+        assert.strictEqual(Object.getPrototypeOf(value), Object.prototype);
+        assert.strictEqual(value.polluted, undefined);
+        assert.deepStrictEqual(Object.keys(value), ['__proto__', 'a']);
+        assert.deepStrictEqual(
+            Object.getOwnPropertyDescriptor(value, '__proto__').value,
+            { polluted: true }
+        );
+    });
+
+    it('writes a __proto__ key as a property', function() {
+        const value = JSON.parse('{"__proto__":{"$t":"Date"}}');
+
+        assert.strictEqual(
+            serializer.serialize(value),
+            '{"__proto__":{"$t":"Object","v":{"$t":"Date"}}}'
+        );
+    });
+});
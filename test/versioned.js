@@ -0,0 +1,171 @@
+const assert = require('assert');
+const Promise = require('bluebird');
+const MemoryDriver = require('../src/drivers/memory');
+const VersionedDriver = require('../src/drivers/versioned');
+const JsonSerializer = require('../src/serializers/json');
+const TagSet = require('../src/tagset');
+
+describe('VersionedDriver', function() {
+    let driver;
+
+    beforeEach(function() {
+        driver = new MemoryDriver({
+            namespace: 'app',
+            serializer: new JsonSerializer()
+        });
+    });
+
+    afterEach(function() {
+        return driver.dispose();
+    });
+
+    it('agrees on the version of a new tag between writers', function() {
+        const writers = Array.from(
+            { length: 4 },
+            () => new VersionedDriver({ driver })
+        );
+        const tagset = new TagSet('users');
+
+        return Promise.map(writers, writer => writer.versions(tagset)).then(
+            versions => {
+                versions.forEach(version =>
+                    assert.deepStrictEqual(version, versions[0])
+                );
+            }
+        );
+    });
+
+    it('reads the items written by another writer under a new tag', function() {
+        const first = new VersionedDriver({ driver });
+        const second = new VersionedDriver({ driver });
+        const tagset = new TagSet('users');
+
+        return Promise.all([
+            first.put('a', 1, 60, tagset),
+            second.put('b', 2, 60, tagset)
+        ])
+            .then(() => first.getMany(['a', 'b'], tagset))
+            .then(values => {
+                assert.deepStrictEqual(values, [1, 2]);
+            });
+    });
+
+    it('adds an item only once', function() {
+        const versioned = new VersionedDriver({ driver });
+        const tagset = new TagSet('users');
+
+        return Promise.map([1, 2], value =>
+            versioned.add('key', value, 60, tagset)
+        ).then(added => {
+            assert.deepStrictEqual(added, [true, false]);
+        });
+    });
+
+
+    it('reads the versions of a tagset in one call and reuses them', function() {
+        const versioned = new VersionedDriver({ driver });
+        const tagset = new TagSet('users', 'posts');
+        const reads = [];
+        const get = driver.get;
+        const getMany = driver.getMany;
+        driver.get = function(key) {
+            reads.push([key]);
+
+            return get.apply(this, arguments);
+        };
+        driver.getMany = function(keys) {
+            reads.push(keys);
+
+            return getMany.apply(this, arguments);
+        };
+
+        return Promise.all([
+            versioned.put('a', 1, 60, tagset),
+            versioned.put('b', 2, 60, tagset)
+        ])
+            .then(() => versioned.get('a', tagset))
+            .then(value => {
+                assert.strictEqual(value, 1);
+                assert.strictEqual(reads.length, 2);
+                assert.deepStrictEqual(reads[0], [
+                    'tagemup:version:users',
+                    'tagemup:version:posts'
+                ]);
+                assert.strictEqual(TagSet.key(reads[1][0]), 'a');
+            });
+    });
+
+    it('reads the versions again once they are not reused any more', function() {
+        const first = new VersionedDriver({ driver, refresh: 20 });
+        const second = new VersionedDriver({ driver, refresh: 20 });
+        const tagset = new TagSet('users');
+
+        return first
+            .put('a', 1, 60, tagset)
+            .then(() => second.flush(tagset))
+            .then(() =>
+                Promise.all([first.get('a', tagset), second.get('a', tagset)])
+            )
+            .then(([cached, flushed]) => {
+                // the flush of another process is seen late
+                assert.strictEqual(cached, 1);
+                assert.strictEqual(flushed, undefined);
+            })
+            .delay(30)
+            .then(() => first.get('a', tagset))
+            .then(value => {
+                assert.strictEqual(value, undefined);
+            });
+    });
+
+    it('reads a version again when it could not be read', function() {
+        const versioned = new VersionedDriver({ driver });
+        const tagset = new TagSet('users');
+        const getMany = driver.getMany;
+        driver.getMany = () => Promise.reject(new Error('down'));
+
+        return versioned.get('a', tagset).then(
+            () => assert.fail('get should have failed'),
+            err => {
+                assert.strictEqual(err.message, 'down');
+                driver.getMany = getMany;
+
+                return versioned
+                    .put('a', 1, 60, tagset)
+                    .then(() => versioned.get('a', tagset))
+                    .then(value => {
+                        assert.strictEqual(value, 1);
+                    });
+            }
+        );
+    });
+
+    it('keeps the versions apart from the keys of items', function() {
+        const versioned = new VersionedDriver({ driver });
+        const tagset = new TagSet('users');
+
+        return versioned
+            .put('tags:users:version', 'item', 60)
+            .then(() => versioned.put('tagemup', 'item', 60))
+            .then(() => versioned.put('a', 1, 60, tagset))
+            .then(() => versioned.flush(tagset))
+            .then(() =>
+                Promise.all([
+                    versioned.get('tags:users:version'),
+                    versioned.get('a', tagset),
+                    driver.has('tagemup:version:users'),
+                    versioned.scan()
+                ])
+            )
+            .then(([item, tagged, stored, page]) => {
+                assert.strictEqual(item, 'item');
+                assert.strictEqual(tagged, undefined);
+                assert.strictEqual(stored, true);
+                assert.ok(page.keys.includes('tags:users:version'));
+                assert.ok(page.keys.includes('tagemup'));
+                assert.ok(
+                    page.keys.every(key => !key.startsWith('tagemup:version:'))
+                );
+            });
+    });
+});